@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 
+import { parseArgs } from 'node:util';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import GitHubCommands from './src/commands.js';
@@ -10,18 +11,43 @@ import {
   displayWarning,
   createSpinner,
   confirmAction,
-  displayRepository
+  displayRepository,
+  setNonInteractive,
+  isNonInteractive,
+  readRepositoryNamesFromStdin,
+  setOutputFormat,
+  setDryRun,
+  isDryRun,
+  parseTopics
 } from './src/utils.js';
+import { resolveOutputFormat, parseFields } from './src/formatters.js';
+import { parseSettingAssignments } from './src/settings.js';
+import { parseEvents } from './src/hooks.js';
 
 class GitHubManager {
-  constructor() {
-    this.commands = new GitHubCommands();
+  constructor(options = {}) {
+    this.commands = new GitHubCommands({
+      ...options,
+      dryRun: isDryRun(),
+      backupDir: options['backup-dir'],
+      cacheTtl: options['cache-ttl']
+    });
   }
 
   async showMainMenu() {
     console.clear();
     console.log(chalk.bold.cyan('🚀 GitHub Repository Manager'));
-    console.log(chalk.gray('Manage your GitHub repositories with ease\n'));
+    console.log(chalk.gray('Manage your GitHub repositories with ease'));
+    if (this.commands.client.org) {
+      console.log(chalk.gray(`Account context: 🏢 ${this.commands.client.org}`));
+    }
+    if (this.commands.client.dryRun) {
+      console.log(chalk.magenta('🧪 Dry run mode: changes are previewed, nothing is modified'));
+    }
+    if (this.commands.client.cache.offline) {
+      console.log(chalk.yellow('📴 Offline mode: answers come from the local cache, changes are disabled'));
+    }
+    console.log();
 
     const { action } = await inquirer.prompt([
       {
@@ -44,6 +70,36 @@ class GitHubManager {
             value: 'details',
             short: 'View details'
           },
+          {
+            name: '🆕 Create a repository',
+            value: 'create',
+            short: 'Create repo'
+          },
+          {
+            name: '⚙️  Edit repository settings',
+            value: 'edit',
+            short: 'Edit settings'
+          },
+          {
+            name: '⚙️  Bulk edit repository settings',
+            value: 'bulkEdit',
+            short: 'Bulk edit'
+          },
+          {
+            name: '🏷️  Manage topics',
+            value: 'topics',
+            short: 'Topics'
+          },
+          {
+            name: '✏️  Rename repository',
+            value: 'rename',
+            short: 'Rename'
+          },
+          {
+            name: '🚚 Transfer repositories to another owner',
+            value: 'transfer',
+            short: 'Transfer'
+          },
           {
             name: '🔒 Change repository visibility',
             value: 'visibility',
@@ -54,6 +110,11 @@ class GitHubManager {
             value: 'bulkVisibility',
             short: 'Bulk visibility'
           },
+          {
+            name: '👥 Collaborators and team access',
+            value: 'access',
+            short: 'Access'
+          },
           {
             name: '📦 Archive repository',
             value: 'archive',
@@ -89,6 +150,56 @@ class GitHubManager {
             value: 'deleteByName',
             short: 'Delete by name'
           },
+          {
+            name: '♻️  Restore repository from backup',
+            value: 'restore',
+            short: 'Restore'
+          },
+          {
+            name: '↩️  Undo last visibility/archive change',
+            value: 'undo',
+            short: 'Undo'
+          },
+          {
+            name: '📜 View audit log',
+            value: 'audit',
+            short: 'Audit log'
+          },
+          {
+            name: '🧾 Bulk jobs (resume / retry failed)',
+            value: 'jobs',
+            short: 'Bulk jobs'
+          },
+          {
+            name: '🏢 Switch account context (user/organization)',
+            value: 'switchContext',
+            short: 'Switch context'
+          },
+          {
+            name: '🕸️  Find stale repositories',
+            value: 'stale',
+            short: 'Stale repos'
+          },
+          {
+            name: '🍴 Review forks (sync / clean up)',
+            value: 'forks',
+            short: 'Forks'
+          },
+          {
+            name: '🌿 Branches (list / clean up)',
+            value: 'branches',
+            short: 'Branches'
+          },
+          {
+            name: '🛡️  Branch protection (report / apply profile)',
+            value: 'protection',
+            short: 'Branch protection'
+          },
+          {
+            name: '🪝 Webhooks (list / create / report)',
+            value: 'hooks',
+            short: 'Webhooks'
+          },
           {
             name: '👤 Show user information',
             value: 'userInfo',
@@ -126,6 +237,30 @@ class GitHubManager {
           await this.commands.viewRepositoryDetails();
           break;
           
+        case 'create':
+          await this.commands.createRepository();
+          break;
+          
+        case 'edit':
+          await this.commands.editRepository();
+          break;
+          
+        case 'bulkEdit':
+          await this.commands.bulkEditRepositories();
+          break;
+          
+        case 'topics':
+          await this.commands.manageTopics();
+          break;
+          
+        case 'rename':
+          await this.commands.renameRepository();
+          break;
+          
+        case 'transfer':
+          await this.commands.transferRepositories();
+          break;
+          
         case 'visibility':
           await this.commands.changeRepositoryVisibility();
           break;
@@ -134,6 +269,10 @@ class GitHubManager {
           await this.commands.bulkChangeRepositoryVisibility();
           break;
           
+        case 'access':
+          await this.commands.manageAccess();
+          break;
+          
         case 'archive':
           await this.commands.archiveRepository();
           break;
@@ -162,6 +301,46 @@ class GitHubManager {
           await this.handleDeleteByName();
           break;
           
+        case 'restore':
+          await this.commands.restoreRepository();
+          break;
+          
+        case 'undo':
+          await this.commands.undoChanges();
+          break;
+          
+        case 'audit':
+          this.commands.showAuditLog({ limit: 50 });
+          break;
+          
+        case 'jobs':
+          await this.commands.manageJobs();
+          break;
+          
+        case 'stale':
+          await this.commands.showStaleRepositories();
+          break;
+          
+        case 'forks':
+          await this.commands.reviewForks();
+          break;
+          
+        case 'branches':
+          await this.commands.manageBranches();
+          break;
+          
+        case 'protection':
+          await this.commands.manageBranchProtection();
+          break;
+          
+        case 'hooks':
+          await this.commands.manageHooks();
+          break;
+          
+        case 'switchContext':
+          await this.commands.switchAccountContext();
+          break;
+          
         case 'userInfo':
           await this.commands.showUserInfo();
           break;
@@ -203,13 +382,13 @@ class GitHubManager {
 
   async handleVisibilityChangeByName(repoName) {
     try {
-      const username = await this.commands.client.getUsername();
+      const owner = await this.commands.client.getOwner();
       
       // First, try to get the repository to verify it exists
       const spinner = createSpinner(`Verifying repository "${repoName}"...`);
       
       try {
-        const repo = await this.commands.client.getRepository(username, repoName);
+        const repo = await this.commands.client.getRepository(owner, repoName, { current: true });
         spinner.succeed(`Repository "${repoName}" found`);
         
         // Show repository details
@@ -217,6 +396,12 @@ class GitHubManager {
         
         const currentVisibility = repo.private ? 'Private' : 'Public';
         const newVisibility = repo.private ? 'Public' : 'Private';
+
+        const { blocked } = await this.commands.checkVisibilityChanges(owner, [repo], !repo.private);
+        if (blocked.length > 0) {
+          displayError(new Error(blocked[0].error));
+          return;
+        }
         
         const confirm = await confirmAction(
           `Are you sure you want to change "${repoName}" from ${currentVisibility} to ${newVisibility}?`
@@ -230,7 +415,7 @@ class GitHubManager {
         const updateSpinner = createSpinner(`Changing "${repoName}" to ${newVisibility}...`);
         
         try {
-          const updatedRepo = await this.commands.client.updateRepositoryVisibility(username, repoName, !repo.private);
+          const updatedRepo = await this.commands.client.updateRepositoryVisibility(owner, repoName, !repo.private);
           updateSpinner.succeed(`Repository "${repoName}" is now ${newVisibility}`);
           displaySuccess(`Repository "${repoName}" visibility changed to ${newVisibility}.`);
           
@@ -258,13 +443,13 @@ class GitHubManager {
 
   async handleArchiveByName(repoName) {
     try {
-      const username = await this.commands.client.getUsername();
+      const owner = await this.commands.client.getOwner();
       
       // First, try to get the repository to verify it exists
       const spinner = createSpinner(`Verifying repository "${repoName}"...`);
       
       try {
-        const repo = await this.commands.client.getRepository(username, repoName);
+        const repo = await this.commands.client.getRepository(owner, repoName, { current: true });
         spinner.succeed(`Repository "${repoName}" found`);
         
         if (repo.archived) {
@@ -287,7 +472,7 @@ class GitHubManager {
         const archiveSpinner = createSpinner(`Archiving repository "${repoName}"...`);
         
         try {
-          const archivedRepo = await this.commands.client.archiveRepository(username, repoName);
+          const archivedRepo = await this.commands.client.archiveRepository(owner, repoName);
           archiveSpinner.succeed(`Repository "${repoName}" archived successfully`);
           displaySuccess(`Repository "${repoName}" has been archived and is now read-only.`);
           
@@ -315,13 +500,13 @@ class GitHubManager {
 
   async handleUnarchiveByName(repoName) {
     try {
-      const username = await this.commands.client.getUsername();
+      const owner = await this.commands.client.getOwner();
       
       // First, try to get the repository to verify it exists
       const spinner = createSpinner(`Verifying repository "${repoName}"...`);
       
       try {
-        const repo = await this.commands.client.getRepository(username, repoName);
+        const repo = await this.commands.client.getRepository(owner, repoName, { current: true });
         spinner.succeed(`Repository "${repoName}" found`);
         
         if (!repo.archived) {
@@ -344,7 +529,7 @@ class GitHubManager {
         const unarchiveSpinner = createSpinner(`Unarchiving repository "${repoName}"...`);
         
         try {
-          const unarchivedRepo = await this.commands.client.unarchiveRepository(username, repoName);
+          const unarchivedRepo = await this.commands.client.unarchiveRepository(owner, repoName);
           unarchiveSpinner.succeed(`Repository "${repoName}" unarchived successfully`);
           displaySuccess(`Repository "${repoName}" has been unarchived and is now editable.`);
           
@@ -398,7 +583,128 @@ class GitHubManager {
 }
 
 // Handle command line arguments
-const args = process.argv.slice(2);
+// Unknown or misspelled options are rejected rather than ignored, so a typo like --dryrun can't
+// turn a dry run into a real change
+const parseCommandLine = () => {
+  try {
+    return parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        details: { type: 'boolean' },
+        stream: { type: 'boolean' },
+        limit: { type: 'string' },
+        org: { type: 'string' },
+        yes: { type: 'boolean', short: 'y' },
+        'non-interactive': { type: 'boolean' },
+        format: { type: 'string' },
+        fields: { type: 'string' },
+        filter: { type: 'string' },
+        repo: { type: 'string' },
+        description: { type: 'string' },
+        private: { type: 'boolean' },
+        public: { type: 'boolean' },
+        topics: { type: 'string' },
+        gitignore: { type: 'string' },
+        license: { type: 'string' },
+        'auto-init': { type: 'boolean' },
+        template: { type: 'string' },
+        set: { type: 'string', multiple: true },
+        add: { type: 'string' },
+        days: { type: 'string' },
+        refresh: { type: 'boolean' },
+        offline: { type: 'boolean' },
+        'cache-ttl': { type: 'string' },
+        action: { type: 'string' },
+        remove: { type: 'string' },
+        operation: { type: 'string' },
+        since: { type: 'string' },
+        until: { type: 'string' },
+        sort: { type: 'string' },
+        reverse: { type: 'boolean' },
+        'dry-run': { type: 'boolean' },
+        backup: { type: 'boolean' },
+        'backup-dir': { type: 'string' },
+        concurrency: { type: 'string' },
+        force: { type: 'boolean' },
+        merged: { type: 'boolean' },
+        stale: { type: 'boolean' },
+        url: { type: 'string' },
+        events: { type: 'string' },
+        secret: { type: 'string' },
+        'content-type': { type: 'string' },
+        active: { type: 'boolean' },
+        inactive: { type: 'boolean' }
+      },
+      allowPositionals: true,
+      strict: true
+    });
+  } catch (error) {
+    displayError(error);
+    console.log(chalk.gray('Run "node index.js help" for usage information'));
+    process.exit(1);
+  }
+};
+
+const { values: options, positionals: args } = parseCommandLine();
+
+setNonInteractive(options.yes || options['non-interactive']);
+setDryRun(options['dry-run']);
+
+try {
+  // The interactive menu always needs a terminal, so it only switches format when asked to
+  const format = args.length === 0 ? (options.format || 'pretty') : options.format;
+  setOutputFormat(resolveOutputFormat(format), parseFields(options.fields));
+} catch (error) {
+  displayError(error);
+  process.exit(1);
+}
+
+// Repository names come from the arguments, or from stdin when "-" is given or input is piped in non-interactive mode
+const getRepositoryNames = async (names) => {
+  const fromStdin = (names.length === 1 && names[0] === '-')
+    || (names.length === 0 && isNonInteractive() && !process.stdin.isTTY);
+
+  return fromStdin ? readRepositoryNamesFromStdin() : names;
+};
+
+// --set is shared with edit, where it may be repeated
+const getTopicChange = () => {
+  if (!options.add && !options.remove && !options.set) {
+    return null;
+  }
+
+  return {
+    add: parseTopics(options.add),
+    remove: parseTopics(options.remove),
+    set: options.set ? parseTopics(options.set.join(',')) : null
+  };
+};
+
+// --limit must be a positive whole number; 0, negative or non-numeric values would otherwise mean "everything"
+const getLimit = () => {
+  if (options.limit === undefined) {
+    return undefined;
+  }
+
+  const limit = Number(options.limit);
+  if (!/^\d+$/.test(options.limit) || limit < 1) {
+    throw new Error(`Invalid --limit "${options.limit}". Use a positive whole number`);
+  }
+  return limit;
+};
+
+// Webhook settings given as options, or null so the command prompts for them
+const getHookSettings = () => {
+  const settings = {
+    ...(options.url !== undefined ? { url: options.url } : {}),
+    ...(options.events !== undefined ? { events: parseEvents(options.events) } : {}),
+    ...(options.secret !== undefined ? { secret: options.secret } : {}),
+    ...(options['content-type'] !== undefined ? { content_type: options['content-type'] } : {}),
+    ...(options.active || options.inactive ? { active: Boolean(options.active) } : {})
+  };
+
+  return Object.keys(settings).length > 0 ? settings : null;
+};
 
 if (args.length > 0) {
   // Handle help command first (no GitHub client needed)
@@ -406,24 +712,154 @@ if (args.length > 0) {
     console.log(chalk.bold.cyan('GitHub Repository Manager - Command Line Usage'));
     console.log(chalk.gray('\nAvailable commands:'));
     console.log('  list [--details]     List all repositories');
+    console.log('    --limit <n>        Only fetch the first n repositories');
+    console.log('    --stream           Print repositories page by page as they arrive');
+    console.log('    --filter <expr>    Only show matching repositories, e.g. "language=Go stars>10"');
+    console.log('    --sort <key>       Sort by stars, forks, updated, created, name or size');
+    console.log('    --reverse          Reverse the sort order');
     console.log('  search [query]       Search repositories');
+    console.log('  create [name]        Create a repository (prompts for settings when no name is given)');
+    console.log('    --description <text>  Repository description');
+    console.log('    --public           Make it public (repositories are private by default)');
+    console.log('    --topics <a,b>     Topics to add');
+    console.log('    --gitignore <name> .gitignore template, e.g. Node');
+    console.log('    --license <key>    License template, e.g. mit');
+    console.log('    --auto-init        Create an initial commit with a README');
+    console.log('    --template <owner/repo>  Create from a template repository');
+    console.log('  edit [repo]          Edit repository settings (prompts when --set is not given)');
+    console.log('    --set <key=value>  Setting to change, repeatable: description, homepage, default_branch,');
+    console.log('                       has_issues, has_wiki, has_projects, has_discussions, allow_merge_commit,');
+    console.log('                       allow_squash_merge, allow_rebase_merge, allow_auto_merge,');
+    console.log('                       delete_branch_on_merge, is_template');
+    console.log('  bulk-edit [repos...] Apply the same --set settings to several repositories');
+    console.log('  topics [repo]        Show the topics of a repository, or change them with:');
+    console.log('    --add <a,b>        Topics to add');
+    console.log('    --remove <a,b>     Topics to remove');
+    console.log('    --set <a,b>        Replace all topics');
+    console.log('  bulk-topics [repos...]      Apply --add/--remove/--set to several repositories');
+    console.log('  topics report        List every topic in use with the number of repositories');
+    console.log('  rename <repo> <new-name>    Rename a repository');
+    console.log('  transfer <repo> <new-owner> Transfer a repository to another user or organization');
+    console.log('  bulk-transfer <new-owner> [repos...]  Transfer several repositories');
     console.log('  visibility [repo]    Change repository visibility');
-    console.log('  archive [repo]       Archive repository');
-    console.log('  unarchive [repo]     Unarchive repository');
-    console.log('  delete [repo-name]   Delete repository');
-    console.log('  bulk-delete          Bulk delete repositories');
-    console.log('  info                 Show user information');
+    console.log('  access [repo]        List collaborators, pending invitations and teams of a repository');
+    console.log('  access add <repo> <user|@team> <permission>     Grant read, triage, write, maintain or admin');
+    console.log('  access change <repo> <user|@team> <permission>  Change the permission of existing access');
+    console.log('  access remove <repo> <user|@team>  Remove a collaborator, pending invitation or team');
+    console.log('  access report        Flag repositories with outside collaborators, invitations or admin grants');
+    console.log('  archive [repos...]   Archive one or more repositories');
+    console.log('  unarchive [repos...] Unarchive one or more repositories');
+    console.log('  delete [repos...]    Delete one or more repositories');
+    console.log('  bulk-delete [repos...]      Bulk delete repositories');
+    console.log('  bulk-archive [repos...]     Bulk archive repositories');
+    console.log('  bulk-unarchive [repos...]   Bulk unarchive repositories');
+    console.log('  bulk-visibility <public|private> [repos...]  Bulk change visibility');
+    console.log('  restore [backup]     Recreate a repository from a local backup');
+    console.log('  jobs list            Show recorded bulk jobs and their progress');
+    console.log('  jobs resume <id>     Continue an interrupted bulk job with the repositories it never reached');
+    console.log('  jobs retry-failed <id>      Re-run a bulk job for the repositories that failed');
+    console.log('  stale                Find repositories without activity, ranked by how safe they are to clean up');
+    console.log('    --days <n>         Inactivity threshold in days (default: 365)');
+    console.log('    --action <archive|delete>  Hand every stale repository to bulk archive or bulk delete');
+    console.log('  forks                Compare every fork with its parent: ahead/behind and unique branches');
+    console.log('    --action <sync|delete>  Sync every fork behind upstream, or delete every fork without unique work');
+    console.log('  branches [repo]      List branches with last commit, ahead/behind the default branch and merge state');
+    console.log('  branches cleanup [repos...]  Delete merged or stale branches (never default or protected ones)');
+    console.log('    --merged           Only branches fully merged into the default branch');
+    console.log('    --stale            Only branches without commits for --days days (default: 90)');
+    console.log('  protection [report]  Show whether each default branch is protected, and with which rules');
+    console.log('  protection profiles  List the protection profiles (basic, standard, strict and your own)');
+    console.log('  protection apply <profile> [repos...]  Protect the default branch of repositories with a profile');
+    console.log('  hooks [repo]         List webhooks with their events, state and last delivery status');
+    console.log('  hooks create <repo>  Add a webhook (prompts when --url is not given)');
+    console.log('    --url <url>        Payload URL');
+    console.log('    --events <a,b>     Events that trigger it (default: push, * for all)');
+    console.log('    --secret <secret>  Secret used to sign deliveries');
+    console.log('    --content-type <json|form>  Payload format (default: json)');
+    console.log('    --active, --inactive  Enable or disable deliveries');
+    console.log('  hooks update <repo> <id>  Change a webhook with the same options');
+    console.log('  hooks delete <repo> <id>  Delete a webhook');
+    console.log('  hooks ping <repo> <id>    Send a ping event to a webhook');
+    console.log('  hooks report         Find failing or duplicate webhooks across all repositories');
+    console.log('  hooks prune [repos...]    Delete the webhooks flagged by the report');
+    console.log('  plan <file>          Compare a YAML/JSON desired-state file with the repositories on GitHub');
+    console.log('  apply <file>         Apply the changes shown by plan');
+    console.log('  undo [job-id]        Revert the last visibility/archive change, or every change of a bulk job');
+    console.log('  audit                Show the log of every change made by this tool');
+    console.log('    --repo <name>      Only entries for this repository');
+    console.log('    --operation <op>   visibility, archive, unarchive, delete, create, topics, update, rename,');
+    console.log('                       transfer, sync, protection, delete-branch, access, hook-create,');
+    console.log('                       hook-update or hook-delete');
+    console.log('    --since <date>     Entries at or after a date, e.g. 2024-05-01 or 30d');
+    console.log('    --until <date>     Entries before a date');
+    console.log('    --limit <n>        Only the n most recent entries');
+    console.log('  info [repo]          Show user information, or details of a repository');
     console.log('  help                 Show this help message');
+    console.log('\nGlobal options:');
+    console.log('  --org <name>         Operate on repositories of an organization');
+    console.log('  -y, --yes            Skip confirmations and never prompt (alias: --non-interactive)');
+    console.log('  --dry-run            Show what would change without modifying anything');
+    console.log('  --force              Change visibility even when the pre-flight checks found issues');
+    console.log('  --backup             Mirror-clone each repository and save its metadata before deleting');
+    console.log('  --backup-dir <path>  Where backups are written (default: ~/.github-management/backups)');
+    console.log('  --concurrency <n>    Repositories processed in parallel by bulk commands (default: 4)');
+    console.log('  --refresh            Revalidate cached API responses instead of trusting them until they expire');
+    console.log('  --offline            Answer list, search and info from the local cache only');
+    console.log('  --cache-ttl <secs>   How long cached API responses are used without asking GitHub (default: 300)');
+    console.log('  -                    Read repository names from stdin instead of arguments');
+    console.log('  --format <format>    Output format for list, search, info and bulk results:');
+    console.log('                       pretty, json, csv, tsv, table, yaml (tsv when piped)');
+    console.log('  --fields <a,b,...>   Columns to include, e.g. name,private,stargazers_count');
+    console.log('\nExit codes:');
+    console.log('  0  All operations succeeded');
+    console.log('  1  Command failed or every operation failed');
+    console.log('  2  Some operations failed (partial failure)');
     console.log('\nExamples:');
     console.log('  node index.js list');
     console.log('  node index.js list --details');
+    console.log('  node index.js list --stream --limit 250');
+    console.log('  node index.js list --filter "fork=false archived=false updated<2024-01-01" --sort updated --reverse');
     console.log('  node index.js search "react"');
+    console.log('  node index.js create my-tool --description "CLI tool" --topics cli,node --gitignore Node --license mit --auto-init');
+    console.log('  node index.js create my-service --template my-company/service-template --yes');
+    console.log('  node index.js edit my-repo --set has_wiki=false --set homepage=https://example.com');
+    console.log('  node index.js bulk-edit repo-a repo-b --set delete_branch_on_merge=true --yes');
+    console.log('  node index.js topics my-repo --add cli,node --remove js');
+    console.log('  node index.js bulk-topics repo-a repo-b --add team-platform --yes');
+    console.log('  node index.js topics report --format csv');
+    console.log('  node index.js rename old-name new-name');
+    console.log('  node index.js bulk-transfer my-company repo-a repo-b --yes');
     console.log('  node index.js visibility my-repo');
     console.log('  node index.js archive old-project');
     console.log('  node index.js unarchive old-project');
     console.log('  node index.js delete my-repo');
     console.log('  node index.js bulk-delete');
     console.log('  node index.js info');
+    console.log('  node index.js list --org my-company');
+    console.log('  node index.js list --offline');
+    console.log('  node index.js list --format json | jq ".[].name"');
+    console.log('  node index.js list --format csv --fields name,language,stargazers_count');
+    console.log('  node index.js info my-repo --format yaml');
+    console.log('  node index.js archive repo-a repo-b --yes');
+    console.log('  cat repos.txt | node index.js bulk-delete - --yes');
+    console.log('  node index.js bulk-visibility private repo-a repo-b --dry-run --yes');
+    console.log('  node index.js bulk-visibility public repo-a --force --yes');
+    console.log('  node index.js delete old-project --backup');
+    console.log('  node index.js restore ~/.github-management/backups/me/old-project-2024-01-01T00-00-00-000Z');
+    console.log('  node index.js jobs retry-failed 20240101-120000-ab12');
+    console.log('  node index.js stale --days 730 --format csv');
+    console.log('  node index.js forks --action sync --yes');
+    console.log('  node index.js access add my-repo octocat write');
+    console.log('  node index.js access report --org my-company --format csv');
+    console.log('  node index.js branches cleanup repo-a repo-b --merged --yes');
+    console.log('  node index.js protection --format csv > protection.csv');
+    console.log('  node index.js protection apply standard repo-a repo-b --yes');
+    console.log('  node index.js hooks create my-repo --url https://ci.example.com/hook --events push,pull_request');
+    console.log('  node index.js hooks prune --yes');
+    console.log('  node index.js plan repos.yaml');
+    console.log('  node index.js apply repos.yaml --yes');
+    console.log('  node index.js undo 20240101-120000-ab12 --yes');
+    console.log('  node index.js audit --repo my-repo --since 30d --format csv > audit.csv');
     console.log('\nSetup:');
     console.log('  1. Copy env.example to .env');
     console.log('  2. Add your GitHub token to .env file');
@@ -432,13 +868,25 @@ if (args.length > 0) {
   }
 
   // Command line mode (requires GitHub client)
-  const manager = new GitHubManager();
+  let manager;
+  try {
+    manager = new GitHubManager(options);
+  } catch (error) {
+    displayError(error);
+    process.exit(1);
+  }
   
   (async () => {
     try {
       switch (args[0]) {
         case 'list':
-          await manager.commands.listRepositories(args.includes('--details'));
+          await manager.commands.listRepositories(options.details, {
+            limit: getLimit(),
+            stream: options.stream,
+            filter: options.filter,
+            sort: options.sort,
+            reverse: options.reverse
+          });
           break;
           
         case 'search':
@@ -459,6 +907,22 @@ if (args.length > 0) {
           }
           break;
           
+        case 'create':
+          if (options.private && options.public) {
+            throw new Error('Use either --private or --public, not both');
+          }
+          await manager.commands.createRepository(args[1] ? {
+            name: args[1],
+            description: options.description,
+            private: !options.public,
+            topics: parseTopics(options.topics),
+            gitignore: options.gitignore,
+            license: options.license,
+            autoInit: options['auto-init'],
+            template: options.template
+          } : {});
+          break;
+          
         case 'visibility':
           if (args[1]) {
             // Direct visibility change with repository name
@@ -468,39 +932,222 @@ if (args.length > 0) {
           }
           break;
           
-        case 'archive':
-          if (args[1]) {
+        case 'archive': {
+          const repoNames = await getRepositoryNames(args.slice(1));
+          if (repoNames.length > 1) {
+            await manager.commands.bulkArchiveRepositories(repoNames);
+          } else if (repoNames.length === 1) {
             // Direct archive with repository name
-            await manager.handleArchiveByName(args[1]);
+            await manager.handleArchiveByName(repoNames[0]);
           } else {
             await manager.commands.archiveRepository();
           }
           break;
+        }
           
-        case 'unarchive':
-          if (args[1]) {
+        case 'unarchive': {
+          const repoNames = await getRepositoryNames(args.slice(1));
+          if (repoNames.length > 1) {
+            await manager.commands.bulkUnarchiveRepositories(repoNames);
+          } else if (repoNames.length === 1) {
             // Direct unarchive with repository name
-            await manager.handleUnarchiveByName(args[1]);
+            await manager.handleUnarchiveByName(repoNames[0]);
           } else {
             await manager.commands.unarchiveRepository();
           }
           break;
+        }
           
-        case 'delete':
-          if (args[1]) {
+        case 'delete': {
+          const repoNames = await getRepositoryNames(args.slice(1));
+          if (repoNames.length > 1) {
+            await manager.commands.bulkDeleteRepositories(repoNames);
+          } else if (repoNames.length === 1) {
             // Direct delete with repository name
-            await manager.commands.deleteRepositoryByName(args[1]);
+            await manager.commands.deleteRepositoryByName(repoNames[0]);
           } else {
             await manager.commands.deleteRepository();
           }
           break;
+        }
           
         case 'bulk-delete':
-          await manager.commands.bulkDeleteRepositories();
+          await manager.commands.bulkDeleteRepositories(await getRepositoryNames(args.slice(1)));
+          break;
+          
+        case 'bulk-archive':
+          await manager.commands.bulkArchiveRepositories(await getRepositoryNames(args.slice(1)));
+          break;
+          
+        case 'topics':
+          if (args[1] === 'report') {
+            await manager.commands.showTopicsReport();
+          } else {
+            await manager.commands.manageRepositoryTopics(args[1], getTopicChange());
+          }
+          break;
+          
+        case 'bulk-topics':
+          await manager.commands.bulkUpdateTopics(await getRepositoryNames(args.slice(1)), getTopicChange());
+          break;
+          
+        case 'rename':
+          await manager.commands.renameRepository(args[1], args[2]);
+          break;
+          
+        case 'transfer':
+          if (args[1] && !args[2]) {
+            throw new Error('Usage: transfer <repo> <new-owner>');
+          }
+          await manager.commands.transferRepositories(args[2], args[1] ? [args[1]] : []);
+          break;
+          
+        case 'bulk-transfer':
+          await manager.commands.transferRepositories(args[1], await getRepositoryNames(args.slice(2)));
+          break;
+          
+        case 'edit':
+          await manager.commands.editRepository(args[1], options.set ? parseSettingAssignments(options.set) : null);
+          break;
+          
+        case 'bulk-edit': {
+          const settings = options.set ? parseSettingAssignments(options.set) : null;
+          await manager.commands.bulkEditRepositories(await getRepositoryNames(args.slice(1)), settings);
+          break;
+        }
+          
+        case 'bulk-unarchive':
+          await manager.commands.bulkUnarchiveRepositories(await getRepositoryNames(args.slice(1)));
+          break;
+          
+        case 'bulk-visibility': {
+          if (!['public', 'private'].includes(args[1])) {
+            throw new Error('Usage: bulk-visibility <public|private> [repos...]');
+          }
+          const repoNames = await getRepositoryNames(args.slice(2));
+          await manager.commands.bulkChangeRepositoryVisibility(args[1] === 'private', repoNames);
+          break;
+        }
+          
+        case 'restore':
+          await manager.commands.restoreRepository(args[1]);
+          break;
+          
+        case 'stale':
+          await manager.commands.showStaleRepositories({
+            days: options.days ? Number(options.days) : undefined,
+            action: options.action
+          });
+          break;
+          
+        case 'forks':
+          await manager.commands.reviewForks({ action: options.action });
+          break;
+          
+        case 'access':
+          if (args[1] === 'report') {
+            await manager.commands.showAccessReport();
+          } else if (['add', 'change', 'remove'].includes(args[1])) {
+            await manager.commands.changeRepositoryAccess(args[1], args[2], args[3], args[4]);
+          } else {
+            await manager.commands.showRepositoryAccess(args[1]);
+          }
+          break;
+          
+        case 'branches':
+          if (args[1] === 'cleanup') {
+            await manager.commands.cleanupBranches(await getRepositoryNames(args.slice(2)), {
+              merged: options.merged,
+              stale: options.stale,
+              days: options.days ? Number(options.days) : undefined
+            });
+          } else {
+            await manager.commands.listBranches(args[1]);
+          }
+          break;
+          
+        case 'protection':
+          if (args[1] === 'apply') {
+            await manager.commands.applyProtectionProfile(args[2], await getRepositoryNames(args.slice(3)));
+          } else if (args[1] === 'profiles') {
+            manager.commands.showProtectionProfiles();
+          } else if (!args[1] || args[1] === 'report') {
+            await manager.commands.showProtectionReport();
+          } else {
+            throw new Error('Usage: protection [report|profiles|apply <profile> [repos...]]');
+          }
+          break;
+          
+        case 'hooks': {
+          const hookId = args[3] === undefined ? undefined : Number(args[3]);
+          if (hookId !== undefined && !Number.isInteger(hookId)) {
+            throw new Error(`Invalid webhook id "${args[3]}"`);
+          }
+
+          if (args[1] === 'create') {
+            await manager.commands.createHook(args[2], getHookSettings());
+          } else if (args[1] === 'update') {
+            await manager.commands.updateHook(args[2], hookId, getHookSettings());
+          } else if (args[1] === 'delete') {
+            await manager.commands.deleteHook(args[2], hookId);
+          } else if (args[1] === 'ping') {
+            await manager.commands.pingHook(args[2], hookId);
+          } else if (args[1] === 'report') {
+            await manager.commands.showHooksReport();
+          } else if (args[1] === 'prune') {
+            await manager.commands.showHooksReport({ prune: true, repoNames: await getRepositoryNames(args.slice(2)) });
+          } else {
+            await manager.commands.listHooks(args[1]);
+          }
+          break;
+        }
+          
+        case 'plan':
+        case 'apply':
+          if (!args[1]) {
+            throw new Error(`Usage: ${args[0]} <file>`);
+          }
+          if (args[0] === 'plan') {
+            await manager.commands.showPlan(args[1]);
+          } else {
+            await manager.commands.applyDesiredState(args[1]);
+          }
+          break;
+          
+        case 'undo':
+          await manager.commands.undoChanges(args[1]);
+          break;
+          
+        case 'audit':
+          manager.commands.showAuditLog({
+            repo: options.repo,
+            operation: options.operation,
+            since: options.since,
+            until: options.until,
+            limit: getLimit()
+          });
+          break;
+          
+        case 'jobs':
+          if (!args[1] || args[1] === 'list') {
+            manager.commands.listJobs();
+          } else if (['resume', 'retry-failed'].includes(args[1]) && args[2]) {
+            if (args[1] === 'resume') {
+              await manager.commands.resumeJob(args[2]);
+            } else {
+              await manager.commands.retryFailedJob(args[2]);
+            }
+          } else {
+            throw new Error('Usage: jobs [list] | jobs resume <id> | jobs retry-failed <id>');
+          }
           break;
           
         case 'info':
-          await manager.commands.showUserInfo();
+          if (args[1]) {
+            await manager.commands.showRepositoryInfo(args[1]);
+          } else {
+            await manager.commands.showUserInfo();
+          }
           break;
           
         default:
@@ -515,6 +1162,6 @@ if (args.length > 0) {
   })();
 } else {
   // Interactive mode
-  const manager = new GitHubManager();
+  const manager = new GitHubManager(options);
   manager.run();
 } 
\ No newline at end of file
@@ -0,0 +1,77 @@
+// Repository roles from least to most access, as GitHub shows them
+export const PERMISSION_LEVELS = ['read', 'triage', 'write', 'maintain', 'admin'];
+
+// The REST API still takes and returns the old names for read and write in places
+const API_PERMISSIONS = { read: 'pull', write: 'push' };
+
+export const normalizePermission = (permission) => {
+  const renamed = Object.entries(API_PERMISSIONS).find(([, apiName]) => apiName === permission);
+  return renamed ? renamed[0] : permission;
+};
+
+export const toApiPermission = (level) => API_PERMISSIONS[level] || level;
+
+export const parsePermission = (input) => {
+  const level = normalizePermission(String(input || '').trim().toLowerCase());
+
+  if (!PERMISSION_LEVELS.includes(level)) {
+    throw new Error(`Invalid permission "${input}". Use one of: ${PERMISSION_LEVELS.join(', ')}`);
+  }
+  return level;
+};
+
+// "octocat" is a user, "@developers" or "@my-org/developers" is a team of the organization
+export const parseGrantee = (input, owner) => {
+  const value = String(input || '').trim();
+
+  if (value.startsWith('@')) {
+    const [org, slug] = value.slice(1).includes('/') ? value.slice(1).split('/') : [owner, value.slice(1)];
+
+    if (!slug) {
+      throw new Error(`Invalid team "${value}". Use @team-slug or @org/team-slug`);
+    }
+    if (org.toLowerCase() !== owner.toLowerCase()) {
+      throw new Error(`Team ${value} belongs to ${org}, but the repository belongs to ${owner}`);
+    }
+    return { type: 'team', name: slug, label: `@${slug}` };
+  }
+
+  if (!/^[a-z\d](?:[a-z\d-]{0,38})$/i.test(value)) {
+    throw new Error(`Invalid user "${value}"`);
+  }
+  return { type: 'user', name: value, label: value };
+};
+
+// The current grant of a user or team on a repository, or null when it has none
+export const findGrant = (access, grantee) => {
+  const matches = (name) => name.toLowerCase() === grantee.name.toLowerCase();
+
+  if (grantee.type === 'team') {
+    const team = access.teams.find(entry => matches(entry.slug));
+    return team ? { kind: 'team', permission: team.permission } : null;
+  }
+
+  const collaborator = access.collaborators.find(entry => matches(entry.login));
+  if (collaborator) {
+    return { kind: 'collaborator', permission: collaborator.permission };
+  }
+
+  const invitation = access.invitations.find(entry => matches(entry.login));
+  return invitation ? { kind: 'invitation', permission: invitation.permission, id: invitation.id } : null;
+};
+
+// Why a repository's access deserves a look: people from outside the owner, and admin rights
+// granted beyond the owner itself
+export const flagAccess = (access) => {
+  const outside = access.collaborators.filter(entry => entry.outside).map(entry => entry.login);
+  const admins = [
+    ...access.collaborators.filter(entry => entry.permission === 'admin').map(entry => entry.login),
+    ...access.teams.filter(entry => entry.permission === 'admin').map(entry => `@${entry.slug}`)
+  ];
+
+  return [
+    ...(outside.length > 0 ? [`outside collaborators: ${outside.join(', ')}`] : []),
+    ...(access.invitations.length > 0 ? [`pending invitations: ${access.invitations.map(entry => entry.login).join(', ')}`] : []),
+    ...(admins.length > 0 ? [`admin: ${admins.join(', ')}`] : [])
+  ];
+};
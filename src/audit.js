@@ -0,0 +1,56 @@
+import fs from 'fs';
+import path from 'path';
+import { getDataDirectory } from './utils.js';
+import { parseDate } from './filters.js';
+
+export const AUDIT_FIELDS = ['timestamp', 'actor', 'owner', 'repo', 'operation', 'job_id', 'outcome', 'before', 'after', 'error'];
+
+export const getAuditLogPath = () => process.env.GITHUB_AUDIT_LOG || path.join(getDataDirectory(), 'audit.jsonl');
+
+// Append-only JSON Lines file: one entry per mutating API call, never rewritten
+class AuditLog {
+  constructor(filePath = getAuditLogPath()) {
+    this.filePath = filePath;
+  }
+
+  record(entry) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify({ timestamp: new Date().toISOString(), ...entry })}\n`);
+  }
+
+  read() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    // A line cut short by a crash shouldn't hide the rest of the history
+    return fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim().length > 0)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  query({ repo, operation, since, until } = {}) {
+    const from = since ? parseDate(since, `--since "${since}"`) : null;
+    const to = until ? parseDate(until, `--until "${until}"`) : null;
+
+    return this.read().filter(entry => {
+      const timestamp = Date.parse(entry.timestamp);
+
+      if (repo && entry.repo !== repo && `${entry.owner}/${entry.repo}` !== repo) return false;
+      if (operation && entry.operation !== operation) return false;
+      if (from !== null && timestamp < from) return false;
+      if (to !== null && timestamp >= to) return false;
+      return true;
+    });
+  }
+}
+
+export default AuditLog;
@@ -0,0 +1,195 @@
+import fs from 'fs';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { getDataDirectory } from './utils.js';
+
+const execFileAsync = promisify(execFile);
+
+export const BACKUP_FORMAT_VERSION = 1;
+
+export const getBackupDirectory = () => process.env.GITHUB_BACKUP_DIR || path.join(getDataDirectory(), 'backups');
+
+// Passes the token to git through the environment so it never shows up in the process list or the mirror's config
+export const getGitAuthEnv = (token) => ({
+  ...process.env,
+  GIT_TERMINAL_PROMPT: '0',
+  GIT_CONFIG_COUNT: '1',
+  GIT_CONFIG_KEY_0: 'http.https://github.com/.extraheader',
+  GIT_CONFIG_VALUE_0: `AUTHORIZATION: basic ${Buffer.from(`x-access-token:${token}`).toString('base64')}`
+});
+
+export const runGit = async (args, options = {}) => {
+  try {
+    return await execFileAsync('git', args, { maxBuffer: 10 * 1024 * 1024, ...options });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('git is not installed or not on PATH');
+    }
+    throw new Error((error.stderr || error.message).trim());
+  }
+};
+
+class BackupManager {
+  constructor(client, directory = getBackupDirectory()) {
+    this.client = client;
+    this.directory = directory;
+  }
+
+  async backupRepository(owner, repo) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(this.directory, owner, `${repo}-${timestamp}`);
+    const mirrorPath = path.join(backupPath, 'repo.git');
+    const metadataPath = path.join(backupPath, 'metadata.json');
+
+    try {
+      const details = await this.client.getRepository(owner, repo, { current: true });
+      const stats = await this.client.getRepositoryStats(owner, repo);
+
+      fs.mkdirSync(backupPath, { recursive: true });
+      await runGit(['clone', '--mirror', '--quiet', details.clone_url, mirrorPath], {
+        env: getGitAuthEnv(this.client.token)
+      });
+
+      const metadata = {
+        format_version: BACKUP_FORMAT_VERSION,
+        backed_up_at: new Date().toISOString(),
+        owner,
+        repository: details,
+        languages: stats.languages
+      };
+      fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
+
+      return { path: backupPath, mirrorPath, metadataPath };
+    } catch (error) {
+      // Never leave a half-written backup behind that could later be mistaken for a good one
+      fs.rmSync(backupPath, { recursive: true, force: true });
+      throw new Error(`Backup of ${owner}/${repo} failed: ${error.message}`);
+    }
+  }
+
+  readBackup(backupPath) {
+    const mirrorPath = path.join(backupPath, 'repo.git');
+    const metadataPath = path.join(backupPath, 'metadata.json');
+
+    if (!fs.existsSync(metadataPath)) {
+      throw new Error(`No metadata.json found in ${backupPath}`);
+    }
+    if (!fs.existsSync(mirrorPath)) {
+      throw new Error(`No repo.git mirror found in ${backupPath}`);
+    }
+
+    let metadata;
+    try {
+      metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid metadata.json in ${backupPath}: ${error.message}`);
+    }
+
+    if (!metadata.repository?.name || !metadata.owner) {
+      throw new Error(`metadata.json in ${backupPath} does not describe a repository`);
+    }
+    if (metadata.format_version > BACKUP_FORMAT_VERSION) {
+      throw new Error(`Backup format version ${metadata.format_version} is newer than this tool supports`);
+    }
+
+    return { path: backupPath, mirrorPath, metadata };
+  }
+
+  listBackups() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    const backupPaths = fs.readdirSync(this.directory, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .flatMap(owner => fs.readdirSync(path.join(this.directory, owner.name), { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => path.join(this.directory, owner.name, entry.name)));
+
+    // Skip anything that isn't a complete backup instead of failing the whole listing
+    return backupPaths
+      .map(backupPath => {
+        try {
+          return this.readBackup(backupPath);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.metadata.backed_up_at.localeCompare(a.metadata.backed_up_at));
+  }
+
+  async listBackupRefs(backup) {
+    const { stdout } = await runGit(['for-each-ref', '--format=%(refname)', 'refs/heads', 'refs/tags'], {
+      cwd: backup.mirrorPath
+    });
+    const refs = stdout.split('\n').filter(ref => ref.length > 0);
+
+    return {
+      branches: refs.filter(ref => ref.startsWith('refs/heads/')).map(ref => ref.replace('refs/heads/', '')),
+      tags: refs.filter(ref => ref.startsWith('refs/tags/')).map(ref => ref.replace('refs/tags/', ''))
+    };
+  }
+
+  async restoreRepository(backup, owner = backup.metadata.owner) {
+    const source = backup.metadata.repository;
+    const unrestored = [];
+
+    if (await this.client.repositoryExists(owner, source.name)) {
+      throw new Error(`Repository ${owner}/${source.name} already exists`);
+    }
+
+    const created = await this.client.createRepository(owner, {
+      name: source.name,
+      description: source.description || undefined,
+      private: source.private,
+      auto_init: false
+    });
+
+    // Only branches and tags: GitHub rejects pushes to the refs/pull/* refs a mirror clone also contains
+    const refs = await this.listBackupRefs(backup);
+    if (this.client.dryRun) {
+      this.client.planner.record({
+        owner,
+        repo: source.name,
+        operation: 'push',
+        fields: [{ field: 'refs', from: null, to: `${refs.branches.length} branches, ${refs.tags.length} tags` }]
+      });
+    } else if (refs.branches.length + refs.tags.length > 0) {
+      try {
+        await runGit(['push', '--quiet', created.clone_url, 'refs/heads/*:refs/heads/*', 'refs/tags/*:refs/tags/*'], {
+          cwd: backup.mirrorPath,
+          env: getGitAuthEnv(this.client.token)
+        });
+      } catch (error) {
+        unrestored.push({ field: 'branches and tags', reason: error.message });
+      }
+    }
+
+    if (source.default_branch && refs.branches.includes(source.default_branch)) {
+      try {
+        await this.client.updateRepository(owner, source.name, { default_branch: source.default_branch });
+      } catch (error) {
+        unrestored.push({ field: 'default_branch', reason: error.message });
+      }
+    }
+
+    if (source.topics && source.topics.length > 0) {
+      try {
+        await this.client.replaceTopics(owner, source.name, source.topics);
+      } catch (error) {
+        unrestored.push({ field: 'topics', reason: error.message });
+      }
+    }
+
+    return {
+      repository: { ...created, topics: source.topics || [], default_branch: source.default_branch },
+      owner,
+      refs,
+      unrestored
+    };
+  }
+}
+
+export default BackupManager;
@@ -0,0 +1,22 @@
+export const DEFAULT_STALE_BRANCH_DAYS = 90;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Bulk jobs are journaled by item name, so a branch to delete is named "repo:branch".
+// git doesn't allow ":" in branch names and GitHub doesn't allow it in repository names
+export const toBranchItemName = (repo, branch) => `${repo}:${branch}`;
+
+export const parseBranchItemName = (name) => {
+  const separator = name.indexOf(':');
+  return { repo: name.slice(0, separator), branch: name.slice(separator + 1) };
+};
+
+// Why a branch can be cleaned up, or null when it has to stay. The default branch and protected
+// branches always stay. "merged" means no commits the default branch doesn't have, so squash
+// and rebase merges are only caught once the branch is stale
+export const getCleanupReason = (branch, { merged = true, stale = true, days = DEFAULT_STALE_BRANCH_DAYS } = {}, now = Date.now()) => {
+  if (branch.default || branch.protected) return null;
+  if (merged && branch.merged) return 'merged';
+  if (stale && now - Date.parse(branch.last_commit_date) >= days * DAY) return 'stale';
+  return null;
+};
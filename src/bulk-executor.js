@@ -0,0 +1,45 @@
+export const DEFAULT_CONCURRENCY = 4;
+
+// Runs task for every item with at most `concurrency` in flight and collects the
+// { results, errors } shape that displayBulkResults expects, in the original order
+export const executeBulk = async (items, task, options = {}) => {
+  const { concurrency = DEFAULT_CONCURRENCY, onProgress, onItemComplete } = options;
+  const outcomes = new Array(items.length);
+  const startedAt = Date.now();
+  let nextIndex = 0;
+  let completed = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      const item = items[index];
+
+      try {
+        outcomes[index] = { result: await task(item) };
+      } catch (error) {
+        outcomes[index] = { error: { name: item.name, error: error.message } };
+      }
+
+      completed++;
+      if (onItemComplete) {
+        onItemComplete({ item, ...outcomes[index] });
+      }
+      if (onProgress) {
+        const elapsed = Date.now() - startedAt;
+        onProgress({
+          completed,
+          total: items.length,
+          etaMs: (elapsed / completed) * (items.length - completed)
+        });
+      }
+    }
+  };
+
+  const workerCount = Math.min(Math.max(concurrency, 1), items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return {
+    results: outcomes.filter(outcome => outcome.result).map(outcome => outcome.result),
+    errors: outcomes.filter(outcome => outcome.error).map(outcome => outcome.error)
+  };
+};
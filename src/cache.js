@@ -0,0 +1,128 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+
+export const DEFAULT_CACHE_TTL = 300;
+
+export const getCacheDirectory = () => process.env.GITHUB_CACHE_DIR
+  || path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'github-management');
+
+const hash = (value) => createHash('sha256').update(value).digest('hex');
+
+// Responses are grouped per repository so a change to one repository only drops what it can affect.
+// Not anchored, so team permission changes (/orgs/{org}/teams/{team}/repos/{owner}/{repo}) count too
+const getScope = (url) => {
+  const match = new URL(url).pathname.match(/\/repos\/([^/]+)\/([^/]+)/);
+  return match ? path.join('repos', match[1].toLowerCase(), match[2].toLowerCase()) : 'account';
+};
+
+// Caches GET responses on disk. Fresh entries (younger than ttl seconds) are answered without a request;
+// older ones are revalidated with If-None-Match, and a 304 doesn't count against the rate limit.
+// Any successful change drops the cached responses of that repository and every list and search result
+export const installResponseCache = (octokit, options = {}) => {
+  const { token, ttl = DEFAULT_CACHE_TTL, refresh = false, offline = false } = options;
+  // One directory per token, so accounts never see each other's private repositories
+  const directory = path.join(options.directory || getCacheDirectory(), hash(token || '').slice(0, 16));
+
+  const getEntryPath = (url) => path.join(directory, getScope(url), `${hash(url)}.json`);
+
+  const read = (url) => {
+    try {
+      return JSON.parse(fs.readFileSync(getEntryPath(url), 'utf8'));
+    } catch {
+      return null;
+    }
+  };
+
+  const write = (url, response) => {
+    const entryPath = getEntryPath(url);
+    const entry = {
+      url,
+      fetched_at: Date.now(),
+      status: response.status,
+      // link drives pagination, etag drives revalidation
+      headers: { link: response.headers.link, etag: response.headers.etag },
+      data: response.data
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(entryPath), { recursive: true, mode: 0o700 });
+      fs.writeFileSync(entryPath, JSON.stringify(entry), { mode: 0o600 });
+    } catch {
+      // A cache that can't be written just means the next run asks GitHub again
+    }
+  };
+
+  const invalidate = (url) => {
+    fs.rmSync(path.join(directory, 'account'), { recursive: true, force: true });
+    if (getScope(url) !== 'account') {
+      fs.rmSync(path.join(directory, getScope(url)), { recursive: true, force: true });
+    }
+  };
+
+  const toResponse = (entry) => ({
+    status: entry.status,
+    url: entry.url,
+    headers: { ...entry.headers, 'x-from-cache': 'true' },
+    data: entry.data
+  });
+
+  octokit.hook.wrap('request', async (request, requestOptions) => {
+    const { method, url } = octokit.request.endpoint.parse(requestOptions);
+
+    if (method !== 'GET') {
+      if (offline) {
+        throw new Error('Changes are not possible in --offline mode');
+      }
+
+      const response = await request(requestOptions);
+      invalidate(url);
+      return response;
+    }
+
+    // File contents scanned for secrets are requested with cache-control: no-store and never written to disk
+    if (requestOptions.headers?.['cache-control'] === 'no-store') {
+      if (offline) {
+        throw new Error(`${new URL(url).pathname} is never cached. Run without --offline to fetch it`);
+      }
+      return request(requestOptions);
+    }
+
+    const cached = read(url);
+
+    if (offline) {
+      if (!cached) {
+        throw new Error(`${new URL(url).pathname} is not in the cache. Run once without --offline to fetch it`);
+      }
+      return toResponse(cached);
+    }
+
+    // Reads that must be current (the state before a change) ask for revalidation with cache-control: no-cache
+    const mustRevalidate = refresh || requestOptions.headers?.['cache-control'] === 'no-cache';
+
+    if (cached && !mustRevalidate && Date.now() - cached.fetched_at < ttl * 1000) {
+      return toResponse(cached);
+    }
+
+    try {
+      const response = await request(cached?.headers.etag
+        ? { ...requestOptions, headers: { ...requestOptions.headers, 'if-none-match': cached.headers.etag } }
+        : requestOptions);
+
+      if (response.headers.etag || ttl > 0) {
+        write(url, response);
+      }
+      return response;
+    } catch (error) {
+      if (error.status === 304 && cached) {
+        cached.fetched_at = Date.now();
+        write(url, cached);
+        return toResponse(cached);
+      }
+      throw error;
+    }
+  });
+
+  return { directory, ttl, refresh, offline };
+};
@@ -1,4 +1,17 @@
 import GitHubClient from './github-client.js';
+import { parseFilter, sortRepositories } from './filters.js';
+import JobJournal from './journal.js';
+import { executeBulk } from './bulk-executor.js';
+import { AUDIT_FIELDS } from './audit.js';
+import { loadDesiredState } from './desired-state.js';
+import { diffSettings, EDITABLE_SETTINGS, REPOSITORY_SETTINGS } from './settings.js';
+import { formatValue } from './planner.js';
+import { DEFAULT_STALE_DAYS, scoreRepository } from './stale.js';
+import { describeFindings } from './visibility-checks.js';
+import { findHookProblems, describeDelivery, isFailingHook, parseEvents, validateHookSettings, toHookItemName, HOOK_CONTENT_TYPES } from './hooks.js';
+import { PERMISSION_LEVELS, parsePermission, parseGrantee, findGrant, flagAccess } from './access.js';
+import { DEFAULT_STALE_BRANCH_DAYS, getCleanupReason, toBranchItemName } from './branches.js';
+import { loadProtectionProfiles, getProtectionProfile, describeProtection, getProfilesPath } from './protection.js';
 import chalk from 'chalk';
 import {
   displayRepositoryList,
@@ -15,20 +28,221 @@ import {
   displayBulkResults,
   getSearchQuery,
   formatDate,
-  formatSize
+  formatSize,
+  truncateText,
+  getBulkExitCode,
+  displayMessage,
+  isStructuredOutput,
+  printRecord,
+  printRecords,
+  requireInteractive,
+  isNonInteractive,
+  EXIT_CODES,
+  createProgressReporter,
+  parseTopics,
+  isValidRepositoryName
 } from './utils.js';
 
+const summarizeAccount = (username, org, repos) => ({
+  username,
+  organization: org,
+  total_repositories: repos.length,
+  public_repositories: repos.filter(repo => !repo.private).length,
+  private_repositories: repos.filter(repo => repo.private).length,
+  archived_repositories: repos.filter(repo => repo.archived).length,
+  forks: repos.filter(repo => repo.fork).length,
+  total_stars: repos.reduce((sum, repo) => sum + repo.stargazers_count, 0),
+  total_forks: repos.reduce((sum, repo) => sum + repo.forks_count, 0),
+  most_popular: [...repos]
+    .sort((a, b) => b.stargazers_count - a.stargazers_count)
+    .slice(0, 5)
+    .map(repo => repo.name)
+});
+
+const describeTopicChange = ({ add = [], remove = [], set = null }) => [
+  ...(set ? [`= ${set.join(', ') || '(none)'}`] : []),
+  ...remove.map(topic => `-${topic}`),
+  ...add.map(topic => `+${topic}`)
+].join(' ');
+
+// What GitHub keeps working after a repository moves, shown before renames and transfers
+const REDIRECT_NOTES = [
+  'Web URLs, git clone/fetch/push and API requests to the old location are redirected',
+  'Redirects stop working if a new repository is later created at the old location',
+  'GitHub Pages sites, hard-coded links in Actions workflows and submodule URLs are not redirected',
+  'Local clones keep working, but should be updated with: git remote set-url origin <new-url>'
+];
+
+const displayRedirectNotes = () => {
+  displayMessage(chalk.bold.yellow('\n↪️  Redirects:'));
+  REDIRECT_NOTES.forEach(note => displayMessage(chalk.gray(`   • ${note}`)));
+};
+
+// Bulk operations are journaled per run so they can be resumed with "jobs resume"
+const BULK_OPERATIONS = {
+  visibility: {
+    progressLabel: 'Changing visibility...',
+    action: 'visibility change',
+    targetState: (target) => target.private ? 'Private' : 'Public',
+    run: (client, owner, repos, target, options) => client.bulkUpdateVisibility(owner, repos, target.private, options)
+  },
+  archive: {
+    progressLabel: 'Archiving repositories...',
+    action: 'archiving',
+    targetState: () => 'Archived',
+    run: (client, owner, repos, target, options) => client.bulkArchiveRepositories(owner, repos, options)
+  },
+  unarchive: {
+    progressLabel: 'Unarchiving repositories...',
+    action: 'unarchiving',
+    targetState: () => 'Active',
+    run: (client, owner, repos, target, options) => client.bulkUnarchiveRepositories(owner, repos, options)
+  },
+  topics: {
+    progressLabel: 'Updating topics...',
+    action: 'topics update',
+    targetState: (target) => describeTopicChange(target),
+    run: (client, owner, repos, target, options) => client.bulkUpdateTopics(owner, repos, target, options)
+  },
+  edit: {
+    progressLabel: 'Updating settings...',
+    action: 'settings update',
+    targetState: (target) => Object.entries(target).map(([field, value]) => `${field}=${value}`).join(', '),
+    run: (client, owner, repos, target, options) => client.bulkApplySettings(
+      owner,
+      repos.map(repo => ({ name: repo.name, changes: target })),
+      options
+    )
+  },
+  // Each repository gets its own changes, so the target holds them by repository name
+  apply: {
+    progressLabel: 'Applying changes...',
+    action: 'apply',
+    targetState: (target) => `Desired state from ${target.file}`,
+    run: (client, owner, repos, target, options) => client.bulkApplySettings(
+      owner,
+      repos.map(repo => ({ name: repo.name, changes: target.changes[repo.name] })),
+      options
+    )
+  },
+  transfer: {
+    progressLabel: 'Transferring repositories...',
+    action: 'transfer',
+    targetState: (target) => `Owned by ${target.new_owner}`,
+    run: (client, owner, repos, target, options) => client.bulkTransferRepositories(owner, repos, target.new_owner, options)
+  },
+  sync: {
+    progressLabel: 'Syncing forks...',
+    action: 'fork sync',
+    targetState: () => 'Up to date with upstream',
+    run: (client, owner, repos, target, options) => client.bulkSyncForks(owner, repos, options)
+  },
+  protection: {
+    progressLabel: 'Protecting default branches...',
+    action: 'branch protection',
+    targetState: (target) => `Default branch protected with "${target.profile.name}"`,
+    run: (client, owner, repos, target, options) => client.bulkProtectDefaultBranches(owner, repos, target.profile, options)
+  },
+  'delete-branch': {
+    progressLabel: 'Deleting branches...',
+    action: 'branch deletion',
+    targetState: () => 'Branch DELETED',
+    // target.shas holds the commit each branch was checked at, so resumed jobs don't delete newer work either
+    run: (client, owner, items, target, options) => client.bulkDeleteBranches(owner, items, target.shas, options)
+  },
+  'delete-hook': {
+    progressLabel: 'Deleting webhooks...',
+    action: 'webhook deletion',
+    targetState: () => 'Webhook DELETED',
+    run: (client, owner, items, target, options) => client.bulkDeleteHooks(owner, items, options)
+  },
+  delete: {
+    progressLabel: 'Deleting repositories...',
+    action: 'deletion',
+    targetState: () => 'DELETED',
+    run: (client, owner, repos, target, options) => client.bulkDeleteRepositories(owner, repos, options)
+  },
+  'delete-fork': {
+    progressLabel: 'Deleting forks...',
+    action: 'fork deletion',
+    targetState: () => 'DELETED',
+    run: (client, owner, repos, target, options) => client.bulkDeleteForks(owner, repos, options)
+  }
+};
+
+// How to revert each reversible operation recorded in the audit log, and which field shows whether it still applies
+const INVERSE_OPERATIONS = {
+  visibility: { field: 'private', inverse: (entry) => ({ operation: 'visibility', target: { private: entry.before.private } }) },
+  archive: { field: 'archived', inverse: () => ({ operation: 'unarchive', target: {} }) },
+  unarchive: { field: 'archived', inverse: () => ({ operation: 'archive', target: {} }) }
+};
+
 class GitHubCommands {
-  constructor() {
-    this.client = new GitHubClient();
+  constructor(options = {}) {
+    this.client = new GitHubClient(options);
+    this.journal = new JobJournal();
+  }
+
+  async runBulkJob(operation, owner, repos, target, spinner, existingJob = null) {
+    const { run, progressLabel } = BULK_OPERATIONS[operation];
+    let job = null;
+
+    // Dry runs change nothing, so there is nothing to resume later
+    if (!this.client.dryRun) {
+      job = existingJob || this.journal.createJob(operation, owner, target, repos);
+      if (existingJob) {
+        this.journal.start(job, repos.map(repo => repo.name));
+      }
+    }
+
+    this.client.activeJobId = job ? job.id : null;
+    let outcome;
+    try {
+      outcome = await run(this.client, owner, repos, target, {
+        onProgress: createProgressReporter(spinner, progressLabel),
+        onItemComplete: ({ item, error }) => {
+          if (job) {
+            this.journal.recordOutcome(job, item.name, error);
+          }
+        }
+      });
+    } finally {
+      this.client.activeJobId = null;
+    }
+
+    if (job) {
+      this.journal.finish(job);
+    }
+
+    const { results, errors } = outcome;
+
+    return { results, errors, job };
+  }
+
+  displayJobHint(job, errors) {
+    if (job && errors.length > 0) {
+      displayInfo(`Job ${job.id} recorded. Retry the failures with: node index.js jobs retry-failed ${job.id}`);
+    }
   }
 
-  async listRepositories(showDetails = false) {
+  async listRepositories(showDetails = false, options = {}) {
+    const { limit, stream = false, filter, sort, reverse = false } = options;
+    // Parse up front so a typo fails before any API calls are made
+    const matchesFilter = parseFilter(filter);
+
+    // Sorting needs every page, so only unsorted pretty output can stream
+    if (stream && !sort && !reverse && !isStructuredOutput()) {
+      return this.streamRepositories(showDetails, limit, matchesFilter);
+    }
+
     const spinner = createSpinner('Fetching repositories...');
     
     try {
-      const repos = await this.client.listRepositories();
-      spinner.succeed('Repositories fetched successfully');
+      const fetched = await this.client.listRepositories({ limit });
+      const repos = sortRepositories(fetched.filter(matchesFilter), sort, reverse);
+      spinner.succeed(filter
+        ? `Repositories fetched successfully (${repos.length} of ${fetched.length} match the filter)`
+        : 'Repositories fetched successfully');
       
       displayRepositoryList(repos, showDetails);
       return repos;
@@ -39,6 +253,32 @@ class GitHubCommands {
     }
   }
 
+  async streamRepositories(showDetails = false, limit, matchesFilter = () => true) {
+    const spinner = createSpinner('Fetching repositories...');
+    const repos = [];
+
+    try {
+      for await (const page of this.client.iterateRepositories({ limit })) {
+        spinner.stop();
+
+        page.filter(matchesFilter).forEach(repo => {
+          repos.push(repo);
+          console.log(chalk.gray(`\n${repos.length}.`));
+          displayRepository(repo, showDetails);
+        });
+
+        spinner.start(`Fetching more repositories... (${repos.length} so far)`);
+      }
+
+      spinner.succeed(`Found ${repos.length} repository${repos.length === 1 ? '' : 'ies'}`);
+      return repos;
+    } catch (error) {
+      spinner.fail('Failed to fetch repositories');
+      displayError(error);
+      throw error;
+    }
+  }
+
   async searchRepositories() {
     const query = await getSearchQuery();
     const spinner = createSpinner(`Searching for repositories matching "${query}"...`);
@@ -75,31 +315,13 @@ class GitHubCommands {
       const spinner = createSpinner('Fetching repository details...');
       
       try {
-        const username = await this.client.getUsername();
-        const repoDetails = await this.client.getRepository(username, selectedRepo.name);
-        const stats = await this.client.getRepositoryStats(username, selectedRepo.name);
+        const owner = await this.client.getOwner();
+        const repoDetails = await this.client.getRepository(owner, selectedRepo.name);
+        const stats = await this.client.getRepositoryStats(owner, selectedRepo.name);
         
         spinner.succeed('Repository details fetched successfully');
         
-        // Display detailed repository information
-        displayRepository(repoDetails, true);
-        
-        // Display additional stats
-        console.log(chalk.bold.cyan('\n📊 Repository Statistics:'));
-        console.log(`   👥 Contributors: ${stats.contributors_count}`);
-        
-        if (Object.keys(stats.languages).length > 0) {
-          console.log(`   📝 Languages: ${Object.entries(stats.languages)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 5)
-            .map(([lang, bytes]) => `${lang} (${formatSize(bytes)})`)
-            .join(', ')}`);
-        }
-        
-        if (stats.last_commit) {
-          console.log(`   🚀 Last commit: ${stats.last_commit.commit.message.split('\n')[0]}`);
-          console.log(`   📅 Commit date: ${formatDate(stats.last_commit.commit.author.date)}`);
-        }
+        this.displayRepositoryDetails(repoDetails, stats);
         
       } catch (error) {
         spinner.fail('Failed to fetch repository details');
@@ -111,6 +333,56 @@ class GitHubCommands {
     }
   }
 
+  async showRepositoryInfo(repoName) {
+    const spinner = createSpinner(`Fetching details for "${repoName}"...`);
+    
+    try {
+      const owner = await this.client.getOwner();
+      const repoDetails = await this.client.getRepository(owner, repoName);
+      const stats = await this.client.getRepositoryStats(owner, repoName);
+      
+      spinner.succeed('Repository details fetched successfully');
+      this.displayRepositoryDetails(repoDetails, stats);
+      
+    } catch (error) {
+      spinner.fail(`Failed to fetch details for "${repoName}"`);
+      displayError(error);
+    }
+  }
+
+  displayRepositoryDetails(repoDetails, stats) {
+    if (isStructuredOutput()) {
+      printRecord({
+        ...repoDetails,
+        contributors_count: stats.contributors_count,
+        languages: Object.keys(stats.languages),
+        last_commit_message: stats.last_commit ? stats.last_commit.commit.message.split('\n')[0] : null,
+        last_commit_date: stats.last_commit ? stats.last_commit.commit.author.date : null
+      });
+      return;
+    }
+
+    // Display detailed repository information
+    displayRepository(repoDetails, true);
+    
+    // Display additional stats
+    console.log(chalk.bold.cyan('\n📊 Repository Statistics:'));
+    console.log(`   👥 Contributors: ${stats.contributors_count}`);
+    
+    if (Object.keys(stats.languages).length > 0) {
+      console.log(`   📝 Languages: ${Object.entries(stats.languages)
+        .sort(([,a], [,b]) => b - a)
+        .slice(0, 5)
+        .map(([lang, bytes]) => `${lang} (${formatSize(bytes)})`)
+        .join(', ')}`);
+    }
+    
+    if (stats.last_commit) {
+      console.log(`   🚀 Last commit: ${stats.last_commit.commit.message.split('\n')[0]}`);
+      console.log(`   📅 Commit date: ${formatDate(stats.last_commit.commit.author.date)}`);
+    }
+  }
+
   async deleteRepository() {
     try {
       const repos = await this.client.listRepositories();
@@ -142,10 +414,13 @@ class GitHubCommands {
       const spinner = createSpinner(`Deleting repository "${selectedRepo.name}"...`);
       
       try {
-        const username = await this.client.getUsername();
-        await this.client.deleteRepository(username, selectedRepo.name);
+        const owner = await this.client.getOwner();
+        const result = await this.client.deleteRepository(owner, selectedRepo.name);
         spinner.succeed(`Repository "${selectedRepo.name}" deleted successfully`);
         displaySuccess(`Repository "${selectedRepo.name}" has been permanently deleted.`);
+        if (result.backup_path) {
+          displayInfo(`Backup saved to ${result.backup_path}`);
+        }
       } catch (error) {
         spinner.fail(`Failed to delete repository "${selectedRepo.name}"`);
         displayError(error);
@@ -156,7 +431,8 @@ class GitHubCommands {
     }
   }
 
-  async bulkDeleteRepositories() {
+  // operation is 'delete-fork' for forks picked by the fork review, which are re-checked before deletion
+  async bulkDeleteRepositories(repoNames = [], operation = 'delete') {
     try {
       const repos = await this.client.listRepositories();
       
@@ -166,15 +442,19 @@ class GitHubCommands {
       }
 
       // Show warning about bulk deletion
-      console.log(chalk.bold.red('\n⚠️  WARNING: Bulk Repository Deletion'));
-      console.log(chalk.red('This action will permanently delete multiple repositories.'));
-      console.log(chalk.red('This action cannot be undone!'));
-      console.log(chalk.gray('Make sure you have backups if needed.\n'));
-
-      const selectedRepos = await selectMultipleRepositories(
-        repos, 
-        'Select repositories to delete (PERMANENT):',
-        true
+      displayMessage(chalk.bold.red('\n⚠️  WARNING: Bulk Repository Deletion'));
+      displayMessage(chalk.red('This action will permanently delete multiple repositories.'));
+      displayMessage(chalk.red('This action cannot be undone!'));
+      if (this.client.backupBeforeDelete) {
+        displayMessage(chalk.gray(`Each repository will be backed up to ${this.client.backups.directory} first.\n`));
+      } else {
+        displayMessage(chalk.gray('Make sure you have backups if needed (use --backup to create them automatically).\n'));
+      }
+
+      const selectedRepos = await this.chooseRepositories(
+        repos,
+        repoNames,
+        'Select repositories to delete (PERMANENT):'
       );
 
       // Handle back option
@@ -188,11 +468,11 @@ class GitHubCommands {
       }
 
       // Show selected repositories
-      console.log(chalk.bold.red('\n🗑️  Repositories to be deleted:'));
+      displayMessage(chalk.bold.red('\n🗑️  Repositories to be deleted:'));
       selectedRepos.forEach((repo, index) => {
-        console.log(chalk.red(`   ${index + 1}. ${repo.name}`));
+        displayMessage(chalk.red(`   ${index + 1}. ${repo.name}`));
         if (repo.description) {
-          console.log(chalk.gray(`      ${repo.description}`));
+          displayMessage(chalk.gray(`      ${repo.description}`));
         }
       });
 
@@ -220,11 +500,14 @@ class GitHubCommands {
       const spinner = createSpinner(`Deleting ${selectedRepos.length} repositories...`);
       
       try {
-        const username = await this.client.getUsername();
-        const { results, errors } = await this.client.bulkDeleteRepositories(username, selectedRepos);
+        const owner = await this.client.getOwner();
+        const { results, errors, job } = await this.runBulkJob(operation, owner, selectedRepos, {}, spinner);
         spinner.succeed(`Bulk deletion completed`);
         
         displayBulkResults(results, errors, 'deletion', 'DELETED');
+        process.exitCode = getBulkExitCode(results, errors);
+        
+        this.displayJobHint(job, errors);
         
         if (results.length > 0) {
           displayWarning(chalk.bold.red(`\n⚠️  ${results.length} repository${results.length === 1 ? '' : 'ies'} have been permanently deleted!`));
@@ -240,15 +523,29 @@ class GitHubCommands {
     }
   }
 
+  // Uses the repository names given on the command line when present, otherwise asks the user to pick
+  async chooseRepositories(repos, repoNames, message) {
+    if (repoNames.length === 0) {
+      return selectMultipleRepositories(repos, message, true);
+    }
+
+    const missing = repoNames.filter(name => !repos.some(repo => repo.name === name));
+    if (missing.length > 0) {
+      throw new Error(`Repositories not found or not eligible: ${missing.join(', ')}`);
+    }
+
+    return repos.filter(repo => repoNames.includes(repo.name));
+  }
+
   async deleteRepositoryByName(repoName) {
     try {
-      const username = await this.client.getUsername();
+      const owner = await this.client.getOwner();
       
       // First, try to get the repository to verify it exists
       const spinner = createSpinner(`Verifying repository "${repoName}"...`);
       
       try {
-        const repo = await this.client.getRepository(username, repoName);
+        const repo = await this.client.getRepository(owner, repoName, { current: true });
         spinner.succeed(`Repository "${repoName}" found`);
         
         // Show repository details
@@ -266,9 +563,12 @@ class GitHubCommands {
         const deleteSpinner = createSpinner(`Deleting repository "${repoName}"...`);
         
         try {
-          await this.client.deleteRepository(username, repoName);
+          const result = await this.client.deleteRepository(owner, repoName);
           deleteSpinner.succeed(`Repository "${repoName}" deleted successfully`);
           displaySuccess(`Repository "${repoName}" has been permanently deleted.`);
+          if (result.backup_path) {
+            displayInfo(`Backup saved to ${result.backup_path}`);
+          }
         } catch (error) {
           deleteSpinner.fail(`Failed to delete repository "${repoName}"`);
           displayError(error);
@@ -284,6 +584,291 @@ class GitHubCommands {
     }
   }
 
+  async restoreRepository(backupPath) {
+    try {
+      let backup;
+      
+      if (backupPath) {
+        backup = this.client.backups.readBackup(backupPath);
+      } else {
+        backup = await this.selectBackup();
+        if (!backup) {
+          return;
+        }
+      }
+      
+      const source = backup.metadata.repository;
+      const owner = this.client.org || backup.metadata.owner;
+      const refs = await this.client.backups.listBackupRefs(backup);
+      
+      console.log(chalk.bold.cyan('\n♻️  Backup to restore:'));
+      console.log(`   Repository: ${chalk.cyan(`${backup.metadata.owner}/${source.name}`)}`);
+      console.log(`   Backed up: ${formatDate(backup.metadata.backed_up_at)}`);
+      console.log(`   Restore to: ${chalk.cyan(`${owner}/${source.name}`)}`);
+      if (source.description) {
+        console.log(`   Description: ${source.description}`);
+      }
+      console.log(`   Visibility: ${source.private ? chalk.red('🔒 Private') : chalk.green('🌐 Public')}`);
+      console.log(`   Branches: ${refs.branches.length} | Tags: ${refs.tags.length}`);
+      if (source.topics && source.topics.length > 0) {
+        console.log(`   🏷️  Topics: ${source.topics.join(', ')}`);
+      }
+      
+      const confirm = await confirmAction(
+        `Recreate "${owner}/${source.name}" from this backup and push all branches and tags?`
+      );
+      
+      if (!confirm) {
+        displayInfo('Restore cancelled.');
+        return;
+      }
+      
+      const spinner = createSpinner(`Restoring "${owner}/${source.name}"...`);
+      
+      try {
+        const { repository, unrestored } = await this.client.backups.restoreRepository(backup, owner);
+        
+        if (unrestored.length > 0) {
+          spinner.warn(`Repository "${source.name}" restored with ${unrestored.length} problem${unrestored.length === 1 ? '' : 's'}`);
+          process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+        } else {
+          spinner.succeed(`Repository "${source.name}" restored successfully`);
+        }
+        
+        displayRepository(repository, true);
+        
+        if (unrestored.length > 0) {
+          console.log(chalk.bold.yellow('\n⚠️  Could not restore:'));
+          unrestored.forEach(({ field, reason }) => {
+            console.log(`   - ${chalk.cyan(field)}: ${chalk.red(reason)}`);
+          });
+        }
+        
+        console.log(chalk.gray('\nNot part of the backup and not restored: issues, pull requests, releases, wiki, stars, watchers, forks, webhooks and collaborators.'));
+        
+      } catch (error) {
+        spinner.fail(`Failed to restore "${source.name}"`);
+        displayError(error);
+      }
+      
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async promptRepositorySettings() {
+    requireInteractive('A repository name');
+    const { default: inquirer } = await import('inquirer');
+
+    const answers = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'name',
+        message: 'Repository name:',
+        validate: (input) => isValidRepositoryName(input.trim()) || 'Use letters, numbers, ".", "-" and "_" only'
+      },
+      {
+        type: 'input',
+        name: 'description',
+        message: 'Description (optional):'
+      },
+      {
+        type: 'list',
+        name: 'private',
+        message: 'Visibility:',
+        choices: [
+          { name: '🔒 Private', value: true },
+          { name: '🌐 Public', value: false }
+        ]
+      },
+      {
+        type: 'input',
+        name: 'topics',
+        message: 'Topics, comma separated (optional):',
+        validate: (input) => {
+          try {
+            parseTopics(input);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
+        }
+      },
+      {
+        type: 'input',
+        name: 'template',
+        message: 'Create from a template repository, as owner/repo (leave empty for none):'
+      }
+    ]);
+
+    const settings = {
+      name: answers.name.trim(),
+      description: answers.description.trim() || undefined,
+      private: answers.private,
+      topics: parseTopics(answers.topics),
+      template: answers.template.trim() || undefined
+    };
+
+    // Template repositories bring their own files, so the initial commit options only apply without one
+    if (!settings.template) {
+      const spinner = createSpinner('Fetching .gitignore and license templates...');
+      const [gitignoreTemplates, licenses] = await Promise.all([
+        this.client.listGitignoreTemplates(),
+        this.client.listLicenses()
+      ]).finally(() => spinner.stop());
+
+      const { gitignore, license, autoInit } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'gitignore',
+          message: '.gitignore template:',
+          choices: [{ name: 'None', value: undefined }, ...gitignoreTemplates],
+          pageSize: 10
+        },
+        {
+          type: 'list',
+          name: 'license',
+          message: 'License:',
+          choices: [{ name: 'None', value: undefined }, ...licenses.map(item => ({ name: item.name, value: item.key }))],
+          pageSize: 10
+        },
+        {
+          type: 'confirm',
+          name: 'autoInit',
+          message: 'Initialize with a README?',
+          default: true
+        }
+      ]);
+
+      Object.assign(settings, { gitignore, license, autoInit });
+    }
+
+    return settings;
+  }
+
+  async createRepository(options = {}) {
+    try {
+      const settings = options.name ? options : await this.promptRepositorySettings();
+
+      if (!isValidRepositoryName(settings.name)) {
+        throw new Error(`Invalid repository name "${settings.name}". Use letters, numbers, ".", "-" and "_" only`);
+      }
+      if (settings.template && (settings.gitignore || settings.license || settings.autoInit)) {
+        throw new Error('--gitignore, --license and --auto-init cannot be combined with --template');
+      }
+
+      const owner = await this.client.getOwner();
+      const topics = settings.topics || [];
+      const isPrivate = settings.private !== false;
+
+      displayMessage(chalk.bold.cyan('\n🆕 Repository to create:'));
+      displayMessage(`   Name: ${chalk.cyan(`${owner}/${settings.name}`)}`);
+      if (settings.description) {
+        displayMessage(`   Description: ${settings.description}`);
+      }
+      displayMessage(`   Visibility: ${isPrivate ? chalk.red('🔒 Private') : chalk.green('🌐 Public')}`);
+      if (settings.template) {
+        displayMessage(`   Template: ${settings.template}`);
+      }
+      if (settings.gitignore) {
+        displayMessage(`   .gitignore: ${settings.gitignore}`);
+      }
+      if (settings.license) {
+        displayMessage(`   License: ${settings.license}`);
+      }
+      if (topics.length > 0) {
+        displayMessage(`   🏷️  Topics: ${topics.join(', ')}`);
+      }
+
+      const confirm = await confirmAction(`Create repository "${owner}/${settings.name}"?`);
+
+      if (!confirm) {
+        displayInfo('Repository creation cancelled.');
+        return;
+      }
+
+      const spinner = createSpinner(`Creating repository "${settings.name}"...`);
+
+      try {
+        let repository;
+
+        if (settings.template) {
+          repository = await this.client.createRepositoryFromTemplate(settings.template, owner, {
+            name: settings.name,
+            description: settings.description,
+            private: isPrivate
+          });
+        } else {
+          const createSettings = {
+            name: settings.name,
+            description: settings.description,
+            private: isPrivate,
+            auto_init: Boolean(settings.autoInit),
+            gitignore_template: settings.gitignore,
+            license_template: settings.license
+          };
+          repository = await this.client.createRepository(
+            owner,
+            Object.fromEntries(Object.entries(createSettings).filter(([, value]) => value !== undefined))
+          );
+        }
+
+        if (topics.length > 0) {
+          repository.topics = await this.client.replaceTopics(owner, settings.name, topics);
+        }
+
+        spinner.succeed(`Repository "${settings.name}" created successfully`);
+
+        if (isStructuredOutput()) {
+          printRecord(repository);
+        } else {
+          displayRepository(repository, true);
+        }
+      } catch (error) {
+        spinner.fail(`Failed to create repository "${settings.name}"`);
+        displayError(error);
+      }
+
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async selectBackup() {
+    requireInteractive('A backup path');
+    const backups = this.client.backups.listBackups();
+    
+    if (backups.length === 0) {
+      displayWarning(`No backups found in ${this.client.backups.directory}.`);
+      return null;
+    }
+    
+    const { default: inquirer } = await import('inquirer');
+    const { selectedBackup } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'selectedBackup',
+        message: 'Select a backup to restore:',
+        choices: [
+          ...backups.map(backup => ({
+            name: `${backup.metadata.owner}/${backup.metadata.repository.name} - ${formatDate(backup.metadata.backed_up_at)}`,
+            value: backup,
+            short: backup.metadata.repository.name
+          })),
+          new inquirer.Separator(),
+          {
+            name: '⬅️  Back to previous menu',
+            value: null,
+            short: 'Back'
+          }
+        ],
+        pageSize: 10
+      }
+    ]);
+    
+    return selectedBackup;
+  }
+
   async showUserInfo() {
     const spinner = createSpinner('Fetching user information...');
     
@@ -293,8 +878,16 @@ class GitHubCommands {
       
       spinner.succeed('User information fetched successfully');
       
+      if (isStructuredOutput()) {
+        printRecord(summarizeAccount(username, this.client.org, repos));
+        return;
+      }
+      
       console.log(chalk.bold.green('\n👤 User Information:'));
       console.log(`   Username: ${chalk.cyan(username)}`);
+      if (this.client.org) {
+        console.log(`   Organization: ${chalk.cyan(this.client.org)}`);
+      }
       console.log(`   Total repositories: ${chalk.cyan(repos.length)}`);
       
       // Calculate some statistics
@@ -331,6 +924,46 @@ class GitHubCommands {
     }
   }
 
+  async switchAccountContext() {
+    const spinner = createSpinner('Fetching organization memberships...');
+    
+    try {
+      const username = await this.client.getUsername();
+      const orgs = await this.client.listOrganizations();
+      spinner.succeed(`Found ${orgs.length} organization${orgs.length === 1 ? '' : 's'}`);
+      
+      const { default: inquirer } = await import('inquirer');
+      const { context } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'context',
+          message: 'Which account do you want to manage?',
+          choices: [
+            {
+              name: `👤 ${username} (personal account)`,
+              value: null,
+              short: username
+            },
+            ...orgs.map(org => ({
+              name: `🏢 ${org.login}${org.description ? ` - ${truncateText(org.description, 40)}` : ''}`,
+              value: org.login,
+              short: org.login
+            }))
+          ],
+          default: this.client.org,
+          pageSize: 10
+        }
+      ]);
+      
+      this.client.setOrganization(context);
+      displaySuccess(`Now managing repositories for ${context ? `organization "${context}"` : `user "${username}"`}.`);
+      
+    } catch (error) {
+      spinner.fail('Failed to fetch organization memberships');
+      displayError(error);
+    }
+  }
+
   async debugArchivedRepositories() {
     const spinner = createSpinner('Fetching all repositories...');
     
@@ -396,6 +1029,11 @@ class GitHubCommands {
       
       const currentVisibility = selectedRepo.private ? 'Private' : 'Public';
       const newVisibility = selectedRepo.private ? 'Public' : 'Private';
+
+      const { blocked } = await this.checkVisibilityChanges(await this.client.getOwner(), [selectedRepo], !selectedRepo.private);
+      if (blocked.length > 0) {
+        throw new Error(blocked[0].error);
+      }
       
       const confirm = await confirmAction(
         `Are you sure you want to change "${selectedRepo.name}" from ${currentVisibility} to ${newVisibility}?`
@@ -409,8 +1047,8 @@ class GitHubCommands {
       const spinner = createSpinner(`Changing "${selectedRepo.name}" to ${newVisibility}...`);
       
       try {
-        const username = await this.client.getUsername();
-        const updatedRepo = await this.client.updateRepositoryVisibility(username, selectedRepo.name, !selectedRepo.private);
+        const owner = await this.client.getOwner();
+        const updatedRepo = await this.client.updateRepositoryVisibility(owner, selectedRepo.name, !selectedRepo.private);
         spinner.succeed(`Repository "${selectedRepo.name}" is now ${newVisibility}`);
         displaySuccess(`Repository "${selectedRepo.name}" visibility changed to ${newVisibility}.`);
         
@@ -431,29 +1069,93 @@ class GitHubCommands {
     }
   }
 
-  async bulkChangeRepositoryVisibility() {
+  // Pre-flight report shown before visibility changes. Repositories with findings, or that couldn't be
+  // checked, are held back unless --force is given
+  async checkVisibilityChanges(owner, repos, isPrivate) {
+    const target = isPrivate ? 'private' : 'public';
+    const spinner = createSpinner('Running pre-flight checks...');
+    let checks;
+    let failures;
+
     try {
-      // Ask user what visibility they want to set
-      const { default: inquirer } = await import('inquirer');
-      const { targetVisibility } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'targetVisibility',
-          message: 'What visibility do you want to set for the selected repositories?',
-          choices: [
-            {
-              name: '🌐 Public',
-              value: false,
-              short: 'Public'
-            },
-            {
-              name: '🔒 Private',
-              value: true,
-              short: 'Private'
-            }
-          ]
+      ({ results: checks, errors: failures } = await this.client.readVisibilityChecks(owner, repos, isPrivate, {
+        onProgress: createProgressReporter(spinner, 'Running pre-flight checks...')
+      }));
+    } catch (error) {
+      spinner.fail('Pre-flight checks failed');
+      throw error;
+    }
+
+    const flagged = checks.filter(check => check.findings.length > 0);
+    if (flagged.length === 0 && failures.length === 0) {
+      spinner.succeed(`Pre-flight checks passed for making ${repos.length === 1 ? `"${repos[0].name}"` : `${repos.length} repositories`} ${target}`);
+      return { cleared: repos, blocked: [] };
+    }
+    spinner.warn(`Pre-flight checks found issues in ${flagged.length + failures.length} of ${repos.length} repositories`);
+
+    displayMessage(chalk.bold.yellow(`\n🔎 Before making ${target}:`));
+    flagged.forEach(check => {
+      displayMessage(`\n   ${chalk.cyan(check.name)}`);
+      check.findings.forEach(finding => {
+        displayMessage(chalk.yellow(`      ⚠️  ${finding.message}`));
+        finding.details.slice(0, 10).forEach(detail => displayMessage(chalk.gray(`         ${detail}`)));
+        if (finding.details.length > 10) {
+          displayMessage(chalk.gray(`         ... and ${finding.details.length - 10} more`));
         }
-      ]);
+      });
+    });
+    failures.forEach(failure => displayMessage(`\n   ${chalk.cyan(failure.name)}\n${chalk.red(`      ❌ ${failure.error}`)}`));
+
+    if (this.client.force) {
+      displayWarning(`--force given: making ${target} despite the findings above`);
+      return { cleared: repos, blocked: [] };
+    }
+
+    const blocked = [
+      ...flagged.map(check => ({ name: check.name, error: `Blocked by pre-flight checks: ${describeFindings(check.findings)}. Use --force to change visibility anyway` })),
+      ...failures
+    ];
+    const blockedNames = new Set(blocked.map(entry => entry.name));
+    const cleared = repos.filter(repo => !blockedNames.has(repo.name));
+
+    if (cleared.length > 0) {
+      displayWarning(`Holding back ${blocked.length} repositor${blocked.length === 1 ? 'y' : 'ies'}; re-run with --force to include ${blocked.length === 1 ? 'it' : 'them'}`);
+    }
+
+    return { cleared, blocked };
+  }
+
+  async promptTargetVisibility() {
+    // Ask user what visibility they want to set
+    const { default: inquirer } = await import('inquirer');
+    const { targetVisibility } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'targetVisibility',
+        message: 'What visibility do you want to set for the selected repositories?',
+        choices: [
+          {
+            name: '🌐 Public',
+            value: false,
+            short: 'Public'
+          },
+          {
+            name: '🔒 Private',
+            value: true,
+            short: 'Private'
+          }
+        ]
+      }
+    ]);
+
+    return targetVisibility;
+  }
+
+  async bulkChangeRepositoryVisibility(targetVisibility, repoNames = []) {
+    try {
+      if (targetVisibility === undefined) {
+        targetVisibility = await this.promptTargetVisibility();
+      }
 
       // Get repositories based on current visibility (opposite of target)
       const currentVisibility = targetVisibility ? 'Public' : 'Private';
@@ -473,10 +1175,10 @@ class GitHubCommands {
         return;
       }
 
-      const selectedRepos = await selectMultipleRepositories(
-        eligibleRepos, 
-        `Select repositories to change to ${targetVisibilityText}:`,
-        true
+      const selectedRepos = await this.chooseRepositories(
+        eligibleRepos,
+        repoNames,
+        `Select repositories to change to ${targetVisibilityText}:`
       );
 
       // Handle back option
@@ -489,8 +1191,17 @@ class GitHubCommands {
         return;
       }
 
+      const owner = await this.client.getOwner();
+      const { cleared, blocked } = await this.checkVisibilityChanges(owner, selectedRepos, targetVisibility);
+
+      if (cleared.length === 0) {
+        displayBulkResults([], blocked, 'visibility change', targetVisibilityText);
+        process.exitCode = EXIT_CODES.FAILURE;
+        return;
+      }
+
       const confirm = await confirmBulkAction(
-        selectedRepos, 
+        cleared, 
         `change visibility to ${targetVisibilityText}`, 
         targetVisibilityText
       );
@@ -500,14 +1211,17 @@ class GitHubCommands {
         return;
       }
 
-      const spinner = createSpinner(`Changing visibility for ${selectedRepos.length} repositories...`);
+      const spinner = createSpinner(`Changing visibility for ${cleared.length} repositories...`);
       
       try {
-        const username = await this.client.getUsername();
-        const { results, errors } = await this.client.bulkUpdateVisibility(username, selectedRepos, targetVisibility);
+        const { results, errors, job } = await this.runBulkJob('visibility', owner, cleared, { private: targetVisibility }, spinner);
         spinner.succeed(`Bulk visibility change completed`);
         
-        displayBulkResults(results, errors, 'visibility change', targetVisibilityText);
+        // Repositories held back by the pre-flight checks are reported as failures
+        displayBulkResults(results, [...blocked, ...errors], 'visibility change', targetVisibilityText);
+        process.exitCode = getBulkExitCode(results, [...blocked, ...errors]);
+        
+        this.displayJobHint(job, errors);
         
       } catch (error) {
         spinner.fail('Failed to perform bulk visibility change');
@@ -519,12 +1233,306 @@ class GitHubCommands {
     }
   }
 
-  async archiveRepository() {
+  async showRepositoryAccess(repoName) {
     try {
-      const repos = await this.client.listActiveRepositories();
-      
-      if (repos.length === 0) {
-        displayWarning('No active repositories found to archive.');
+      const owner = await this.client.getOwner();
+
+      if (!repoName) {
+        requireInteractive('A repository name');
+        const repos = await this.client.listRepositories();
+        const selectedRepo = await selectRepository(repos, 'Select a repository to show access of:', true);
+
+        if (selectedRepo === 'back') {
+          return;
+        }
+        repoName = selectedRepo.name;
+      }
+
+      const spinner = createSpinner(`Fetching access to "${repoName}"...`);
+      let access;
+
+      try {
+        access = await this.client.getRepositoryAccess(owner, repoName);
+        spinner.succeed(`Access to "${repoName}" fetched`);
+      } catch (error) {
+        spinner.fail(`Failed to fetch access to "${repoName}"`);
+        throw error;
+      }
+
+      if (isStructuredOutput()) {
+        printRecords([
+          ...access.collaborators.map(entry => ({ repo: repoName, type: 'collaborator', name: entry.login, permission: entry.permission, outside: entry.outside })),
+          ...access.invitations.map(entry => ({ repo: repoName, type: 'invitation', name: entry.login, permission: entry.permission, outside: true })),
+          ...access.teams.map(entry => ({ repo: repoName, type: 'team', name: `@${entry.slug}`, permission: entry.permission, outside: false }))
+        ], null);
+        return;
+      }
+
+      console.log(chalk.bold.cyan(`\n👥 Access to ${owner}/${repoName}:`));
+
+      console.log(chalk.bold(`\n   Collaborators (${access.collaborators.length}):`));
+      access.collaborators.forEach(entry => {
+        console.log(`      ${chalk.cyan(entry.login.padEnd(30))} ${entry.permission.padEnd(9)}${entry.outside ? chalk.yellow(' outside') : ''}`);
+      });
+
+      if (access.invitations.length > 0) {
+        console.log(chalk.bold(`\n   Pending invitations (${access.invitations.length}):`));
+        access.invitations.forEach(entry => {
+          console.log(`      ${chalk.cyan(entry.login.padEnd(30))} ${entry.permission.padEnd(9)}${chalk.gray(` invited ${formatDate(entry.created_at)}`)}`);
+        });
+      }
+
+      if (this.client.org) {
+        console.log(chalk.bold(`\n   Teams (${access.teams.length}):`));
+        access.teams.forEach(entry => {
+          console.log(`      ${chalk.cyan(`@${entry.slug}`.padEnd(30))} ${entry.permission}`);
+        });
+      }
+
+      flagAccess(access).forEach(flag => displayWarning(flag));
+
+      if (isNonInteractive()) {
+        return;
+      }
+
+      const hasGrants = access.collaborators.length + access.invitations.length + access.teams.length > 0;
+      const { default: inquirer } = await import('inquirer');
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: 'What would you like to do?',
+          choices: [
+            { name: '➕ Add a user or team', value: 'add' },
+            { name: '🔧 Change a permission', value: 'change', disabled: !hasGrants },
+            { name: '➖ Remove a user, invitation or team', value: 'remove', disabled: !hasGrants },
+            { name: '⬅️  Nothing for now', value: null }
+          ]
+        }
+      ]);
+
+      if (action === 'add') {
+        await this.changeRepositoryAccess('add', repoName);
+      } else if (action) {
+        await this.changeRepositoryAccess(action, repoName, await this.promptGrantee(access, `Who do you want to ${action}?`));
+      }
+
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async promptGrantee(access, message) {
+    const { default: inquirer } = await import('inquirer');
+    const { grantee } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'grantee',
+        message,
+        choices: [
+          ...access.collaborators.map(entry => ({ name: `${entry.login} (${entry.permission})`, value: entry.login })),
+          ...access.invitations.map(entry => ({ name: `${entry.login} (${entry.permission}, invited)`, value: entry.login })),
+          ...access.teams.map(entry => ({ name: `@${entry.slug} (${entry.permission})`, value: `@${entry.slug}` }))
+        ],
+        pageSize: 15
+      }
+    ]);
+
+    return grantee;
+  }
+
+  // action is add, change or remove. add also changes an existing permission; change only
+  // applies to users and teams that already have access
+  async changeRepositoryAccess(action, repoName, granteeInput, permissionInput) {
+    try {
+      if (!['add', 'change', 'remove'].includes(action)) {
+        throw new Error(`Unknown access action "${action}". Use add, change or remove`);
+      }
+
+      const owner = await this.client.getOwner();
+      const { default: inquirer } = await import('inquirer');
+
+      if (!repoName) {
+        requireInteractive('A repository name');
+        const repos = await this.client.listActiveRepositories();
+        const selectedRepo = await selectRepository(repos, `Select a repository to ${action} access:`, true);
+
+        if (selectedRepo === 'back') {
+          return;
+        }
+        repoName = selectedRepo.name;
+      }
+
+      if (!granteeInput) {
+        requireInteractive('A user or @team');
+        ({ granteeInput } = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'granteeInput',
+            message: 'User name or @team:',
+            validate: (input) => input.trim().length > 0 || 'Enter a user name or @team'
+          }
+        ]));
+      }
+
+      const grantee = parseGrantee(granteeInput, owner);
+      if (grantee.type === 'team' && !this.client.org) {
+        throw new Error('Teams only exist in organizations. Use --org <name>');
+      }
+
+      let permission = null;
+      if (action !== 'remove') {
+        if (!permissionInput) {
+          requireInteractive('A permission');
+          ({ permissionInput } = await inquirer.prompt([
+            {
+              type: 'list',
+              name: 'permissionInput',
+              message: `Permission for ${grantee.label}:`,
+              choices: PERMISSION_LEVELS,
+              default: 'write'
+            }
+          ]));
+        }
+        permission = parsePermission(permissionInput);
+      }
+
+      const current = findGrant(await this.client.getRepositoryAccess(owner, repoName), grantee);
+
+      if (action === 'change' && !current) {
+        throw new Error(`${grantee.label} has no access to ${owner}/${repoName}. Add it with: node index.js access add ${repoName} ${grantee.label} ${permission}`);
+      }
+      if (action !== 'remove' && current && current.permission === permission) {
+        displayInfo(`${grantee.label} already has ${permission} access to ${owner}/${repoName}`);
+        return;
+      }
+
+      const from = current ? `${current.permission}${current.kind === 'invitation' ? ' (invited)' : ''}` : 'no access';
+      const to = permission || 'no access';
+      displayMessage(chalk.bold.cyan(`\n👥 ${grantee.label} on ${owner}/${repoName}: ${from} → ${to}`));
+      if (permission === 'admin') {
+        displayWarning('Admins can change settings, manage access, and delete or transfer the repository');
+      }
+
+      const confirm = await confirmAction(`${action === 'remove' ? 'Remove' : 'Grant'} ${grantee.label} ${action === 'remove' ? 'from' : `${permission} access to`} "${repoName}"?`);
+      if (!confirm) {
+        displayInfo('Access change cancelled.');
+        return;
+      }
+
+      const spinner = createSpinner(`Updating access to "${repoName}"...`);
+      let results = [];
+      let errors = [];
+      try {
+        const result = action === 'remove'
+          ? await this.client.revokeAccess(owner, repoName, grantee)
+          : await this.client.grantAccess(owner, repoName, grantee, permission);
+        results = [result];
+        spinner.succeed(result.invited
+          ? `Invited ${grantee.label} with ${permission} access; it applies once the invitation is accepted`
+          : `Access of ${grantee.label} updated`);
+      } catch (error) {
+        errors = [{ name: repoName, error: error.message }];
+        spinner.fail('Access change failed');
+      }
+
+      displayBulkResults(results, errors, `access ${action}`, `${grantee.label}: ${to}`);
+      process.exitCode = getBulkExitCode(results, errors);
+
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async showAccessReport() {
+    const spinner = createSpinner('Fetching repositories...');
+    let reports;
+    let failures;
+
+    try {
+      const owner = await this.client.getOwner();
+      const repos = await this.client.listRepositories();
+      ({ results: reports, errors: failures } = await this.client.readRepositoryAccess(owner, repos, {
+        onProgress: createProgressReporter(spinner, 'Checking collaborators and teams...')
+      }));
+      spinner.succeed(`Checked access to ${reports.length} of ${repos.length} repositories`);
+
+      const visibility = new Map(repos.map(repo => [repo.name, repo.private]));
+      reports = reports.map(access => ({
+        name: access.name,
+        private: visibility.get(access.name),
+        collaborators: access.collaborators.length,
+        outside_collaborators: access.collaborators.filter(entry => entry.outside).map(entry => entry.login),
+        pending_invitations: access.invitations.map(entry => entry.login),
+        teams: access.teams.map(entry => `@${entry.slug}`),
+        admins: [
+          ...access.collaborators.filter(entry => entry.permission === 'admin').map(entry => entry.login),
+          ...access.teams.filter(entry => entry.permission === 'admin').map(entry => `@${entry.slug}`)
+        ],
+        flags: flagAccess(access)
+      }));
+    } catch (error) {
+      spinner.fail('Failed to check repository access');
+      displayError(error);
+      return;
+    }
+
+    failures.forEach(failure => displayWarning(`${failure.name}: ${failure.error}`));
+
+    const flagged = reports.filter(report => report.flags.length > 0);
+
+    if (isStructuredOutput()) {
+      printRecords(reports, null);
+    } else if (flagged.length === 0) {
+      displaySuccess('No outside collaborators, pending invitations or admin grants found.');
+    } else {
+      console.log(chalk.bold.yellow(`\n🚩 Repositories to review (${flagged.length}):`));
+      // Public repositories with outside admins are the biggest exposure, so they come first
+      [...flagged].sort((a, b) => a.private - b.private || b.flags.length - a.flags.length).forEach(report => {
+        console.log(`\n   ${chalk.cyan(report.name)} ${report.private ? chalk.gray('private') : chalk.yellow('public')}`);
+        report.flags.forEach(flag => console.log(`      • ${flag}`));
+      });
+
+      console.log(chalk.bold('\n📊 Summary:'));
+      console.log(`   With outside collaborators: ${chalk.yellow(reports.filter(report => report.outside_collaborators.length > 0).length)}`);
+      console.log(`   With pending invitations: ${chalk.yellow(reports.filter(report => report.pending_invitations.length > 0).length)}`);
+      console.log(`   With admin grants: ${chalk.yellow(reports.filter(report => report.admins.length > 0).length)}`);
+    }
+
+    if (failures.length > 0) {
+      process.exitCode = getBulkExitCode(reports, failures);
+    }
+  }
+
+  async manageAccess() {
+    const { default: inquirer } = await import('inquirer');
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'Access:',
+        choices: [
+          { name: '👥 Show and change access to a repository', value: 'show' },
+          { name: '🚩 Access report (outside collaborators, admins)', value: 'report' },
+          new inquirer.Separator(),
+          { name: '⬅️  Back to previous menu', value: 'back' }
+        ]
+      }
+    ]);
+
+    if (action === 'show') {
+      await this.showRepositoryAccess();
+    } else if (action === 'report') {
+      await this.showAccessReport();
+    }
+  }
+
+  async archiveRepository() {
+    try {
+      const repos = await this.client.listActiveRepositories();
+      
+      if (repos.length === 0) {
+        displayWarning('No active repositories found to archive.');
         return;
       }
 
@@ -550,8 +1558,8 @@ class GitHubCommands {
       const spinner = createSpinner(`Archiving repository "${selectedRepo.name}"...`);
       
       try {
-        const username = await this.client.getUsername();
-        const archivedRepo = await this.client.archiveRepository(username, selectedRepo.name);
+        const owner = await this.client.getOwner();
+        const archivedRepo = await this.client.archiveRepository(owner, selectedRepo.name);
         spinner.succeed(`Repository "${selectedRepo.name}" archived successfully`);
         displaySuccess(`Repository "${selectedRepo.name}" has been archived and is now read-only.`);
         
@@ -572,7 +1580,7 @@ class GitHubCommands {
     }
   }
 
-  async bulkArchiveRepositories() {
+  async bulkArchiveRepositories(repoNames = []) {
     try {
       const repos = await this.client.listActiveRepositories();
       
@@ -581,10 +1589,10 @@ class GitHubCommands {
         return;
       }
 
-      const selectedRepos = await selectMultipleRepositories(
-        repos, 
-        'Select repositories to archive:',
-        true
+      const selectedRepos = await this.chooseRepositories(
+        repos,
+        repoNames,
+        'Select repositories to archive:'
       );
 
       // Handle back option
@@ -611,11 +1619,14 @@ class GitHubCommands {
       const spinner = createSpinner(`Archiving ${selectedRepos.length} repositories...`);
       
       try {
-        const username = await this.client.getUsername();
-        const { results, errors } = await this.client.bulkArchiveRepositories(username, selectedRepos);
+        const owner = await this.client.getOwner();
+        const { results, errors, job } = await this.runBulkJob('archive', owner, selectedRepos, {}, spinner);
         spinner.succeed(`Bulk archiving completed`);
         
         displayBulkResults(results, errors, 'archiving', 'Archived');
+        process.exitCode = getBulkExitCode(results, errors);
+        
+        this.displayJobHint(job, errors);
         
       } catch (error) {
         spinner.fail('Failed to perform bulk archiving');
@@ -658,8 +1669,8 @@ class GitHubCommands {
       const spinner = createSpinner(`Unarchiving repository "${selectedRepo.name}"...`);
       
       try {
-        const username = await this.client.getUsername();
-        const unarchivedRepo = await this.client.unarchiveRepository(username, selectedRepo.name);
+        const owner = await this.client.getOwner();
+        const unarchivedRepo = await this.client.unarchiveRepository(owner, selectedRepo.name);
         spinner.succeed(`Repository "${selectedRepo.name}" unarchived successfully`);
         displaySuccess(`Repository "${selectedRepo.name}" has been unarchived and is now editable.`);
         
@@ -680,7 +1691,7 @@ class GitHubCommands {
     }
   }
 
-  async bulkUnarchiveRepositories() {
+  async bulkUnarchiveRepositories(repoNames = []) {
     try {
       const repos = await this.client.listArchivedRepositories();
       
@@ -689,10 +1700,10 @@ class GitHubCommands {
         return;
       }
 
-      const selectedRepos = await selectMultipleRepositories(
-        repos, 
-        'Select repositories to unarchive:',
-        true
+      const selectedRepos = await this.chooseRepositories(
+        repos,
+        repoNames,
+        'Select repositories to unarchive:'
       );
 
       // Handle back option
@@ -719,11 +1730,14 @@ class GitHubCommands {
       const spinner = createSpinner(`Unarchiving ${selectedRepos.length} repositories...`);
       
       try {
-        const username = await this.client.getUsername();
-        const { results, errors } = await this.client.bulkUnarchiveRepositories(username, selectedRepos);
+        const owner = await this.client.getOwner();
+        const { results, errors, job } = await this.runBulkJob('unarchive', owner, selectedRepos, {}, spinner);
         spinner.succeed(`Bulk unarchiving completed`);
         
         displayBulkResults(results, errors, 'unarchiving', 'Active');
+        process.exitCode = getBulkExitCode(results, errors);
+        
+        this.displayJobHint(job, errors);
         
       } catch (error) {
         spinner.fail('Failed to perform bulk unarchiving');
@@ -734,6 +1748,2049 @@ class GitHubCommands {
       displayError(error);
     }
   }
+
+  showAuditLog(query = {}) {
+    try {
+      let entries = this.client.audit.query(query);
+
+      // --limit keeps the most recent entries
+      if (query.limit) {
+        entries = entries.slice(-query.limit);
+      }
+
+      if (isStructuredOutput()) {
+        printRecords(entries, AUDIT_FIELDS);
+        return;
+      }
+
+      if (entries.length === 0) {
+        displayInfo(`No matching audit entries in ${this.client.audit.filePath}.`);
+        return;
+      }
+
+      console.log(chalk.bold.cyan(`\n📜 Audit log (${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}):`));
+      entries.forEach(entry => {
+        const icon = entry.outcome === 'success' ? '✅' : '❌';
+        console.log(`\n   ${icon} ${chalk.gray(formatDate(entry.timestamp))} ${chalk.bold(entry.operation)} ${chalk.cyan(`${entry.owner}/${entry.repo}`)} by ${entry.actor}${entry.job_id ? chalk.gray(` (job ${entry.job_id})`) : ''}`);
+
+        // Creates and deletes record the whole repository, so only its visibility is worth showing
+        if (['create', 'delete'].includes(entry.operation)) {
+          const repository = entry.before || entry.after;
+          if (repository) {
+            console.log(chalk.gray(`      ${repository.private ? 'private' : 'public'}${repository.archived ? ', archived' : ''}`));
+          }
+        } else {
+          Object.keys({ ...entry.before, ...entry.after }).forEach(field => {
+            console.log(`      ${field}: ${JSON.stringify(entry.before?.[field] ?? null)} → ${JSON.stringify(entry.after?.[field] ?? null)}`);
+          });
+        }
+
+        if (entry.error) {
+          console.log(chalk.red(`      ${entry.error}`));
+        }
+      });
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  // Without a job id, the most recent reversible change (and the rest of its bulk job, if it was part of one)
+  findUndoableEntries(jobId) {
+    const entries = this.client.audit.read()
+      .filter(entry => entry.outcome === 'success' && INVERSE_OPERATIONS[entry.operation]);
+
+    if (jobId) {
+      const jobEntries = entries.filter(entry => entry.job_id === jobId);
+      if (jobEntries.length === 0) {
+        throw new Error(`No reversible changes recorded for job "${jobId}"`);
+      }
+      return jobEntries;
+    }
+
+    const last = entries[entries.length - 1];
+    if (!last) {
+      throw new Error('No reversible changes recorded in the audit log');
+    }
+
+    return last.job_id ? entries.filter(entry => entry.job_id === last.job_id) : [last];
+  }
+
+  async undoChanges(jobId) {
+    try {
+      const entries = this.findUndoableEntries(jobId);
+      const spinner = createSpinner(`Checking current state of ${entries.length} repositories...`);
+
+      let plans;
+      try {
+        ({ results: plans } = await executeBulk(entries, async (entry) => {
+          const current = await this.client.getRepository(entry.owner, entry.repo, { current: true }).catch(() => null);
+          return { entry, current, ...INVERSE_OPERATIONS[entry.operation] };
+        }, {
+          concurrency: this.client.concurrency,
+          onProgress: createProgressReporter(spinner, 'Checking current state...')
+        }));
+        spinner.succeed('Current state fetched');
+      } catch (error) {
+        spinner.fail('Failed to fetch current state');
+        throw error;
+      }
+
+      // Anything changed again since (or deleted) is left alone rather than overwritten
+      const drifted = plans.filter(({ entry, current, field }) => !current || current[field] !== entry.after[field]);
+      const reversible = plans.filter(plan => !drifted.includes(plan));
+
+      displayMessage(chalk.bold.cyan(`\n↩️  Undo ${jobId ? `job ${jobId}` : 'last change'}:`));
+      reversible.forEach(({ entry, field }) => {
+        displayMessage(`   ${chalk.cyan(`${entry.owner}/${entry.repo}`)} ${field}: ${entry.after[field]} → ${chalk.bold(entry.before[field])}`);
+      });
+      drifted.forEach(({ entry, current }) => {
+        displayWarning(`Skipping ${entry.owner}/${entry.repo}: ${current ? 'it has changed since' : 'it no longer exists'}`);
+      });
+
+      if (reversible.length === 0) {
+        displayInfo('Nothing left to undo.');
+        return;
+      }
+
+      const confirm = await confirmBulkAction(
+        reversible.map(({ entry }) => ({ name: entry.repo })),
+        `undo ${[...new Set(reversible.map(({ entry }) => entry.operation))].join(', ')}`,
+        'Previous state'
+      );
+
+      if (!confirm) {
+        displayInfo('Undo cancelled.');
+        return;
+      }
+
+      // Each group becomes its own journaled job, so an undo can itself be undone or retried
+      const groups = new Map();
+      reversible.forEach(({ entry, inverse }) => {
+        const { operation, target } = inverse(entry);
+        const key = JSON.stringify([entry.owner, operation, target]);
+        if (!groups.has(key)) {
+          groups.set(key, { owner: entry.owner, operation, target, repos: [] });
+        }
+        groups.get(key).repos.push({ name: entry.repo });
+      });
+
+      const allResults = [];
+      const allErrors = [];
+      const jobs = [];
+      const undoSpinner = createSpinner(`Undoing changes to ${reversible.length} repositories...`);
+
+      try {
+        for (const { owner, operation, target, repos } of groups.values()) {
+          const { results, errors, job } = await this.runBulkJob(operation, owner, repos, target, undoSpinner);
+          allResults.push(...results);
+          allErrors.push(...errors);
+          jobs.push({ job, errors });
+        }
+        undoSpinner.succeed('Undo completed');
+      } catch (error) {
+        undoSpinner.fail('Failed to undo changes');
+        throw error;
+      }
+
+      displayBulkResults(allResults, allErrors, 'undo', 'Previous state');
+      process.exitCode = getBulkExitCode(allResults, allErrors);
+      jobs.forEach(({ job, errors }) => this.displayJobHint(job, errors));
+
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  // current holds the values shown as defaults; for bulk edits it is empty
+  async promptSettingChanges(current = {}) {
+    const { default: inquirer } = await import('inquirer');
+
+    const { fields } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'fields',
+        message: 'Select settings to change:',
+        choices: EDITABLE_SETTINGS.map(field => ({
+          name: field in current ? `${field} ${chalk.gray(`(${formatValue(current[field])})`)}` : field,
+          value: field
+        })),
+        pageSize: 15
+      }
+    ]);
+
+    const settings = {};
+    for (const field of fields) {
+      const { value } = await inquirer.prompt([
+        REPOSITORY_SETTINGS[field] === 'boolean'
+          ? { type: 'confirm', name: 'value', message: `${field}:`, default: current[field] ?? true }
+          : {
+            type: 'input',
+            name: 'value',
+            message: `${field}:`,
+            default: current[field] || undefined,
+            validate: (input) => field !== 'default_branch' || input.trim().length > 0 || 'default_branch cannot be empty'
+          }
+      ]);
+      settings[field] = typeof value === 'string' ? value.trim() : value;
+    }
+
+    return settings;
+  }
+
+  async editRepository(repoName, settings = null) {
+    try {
+      if (!settings) {
+        requireInteractive('--set');
+      }
+
+      const owner = await this.client.getOwner();
+
+      if (!repoName) {
+        requireInteractive('A repository name');
+        const repos = await this.client.listActiveRepositories();
+        const selectedRepo = await selectRepository(repos, 'Select a repository to edit:', true);
+
+        if (selectedRepo === 'back') {
+          return;
+        }
+        repoName = selectedRepo.name;
+      }
+
+      const spinner = createSpinner(`Fetching settings of "${repoName}"...`);
+      let current;
+      try {
+        current = await this.client.getRepositorySettings(owner, repoName);
+        spinner.succeed(`Settings of "${repoName}" fetched`);
+      } catch (error) {
+        spinner.fail(`Repository "${repoName}" not found`);
+        throw error;
+      }
+
+      if (current.archived) {
+        throw new Error(`Repository "${repoName}" is archived and read-only. Unarchive it first.`);
+      }
+
+      if (!isStructuredOutput()) {
+        console.log(chalk.bold.cyan(`\n⚙️  Current settings of ${owner}/${repoName}:`));
+        EDITABLE_SETTINGS.forEach(field => {
+          console.log(`   ${field}: ${formatValue(current[field])}`);
+        });
+      }
+
+      const changes = diffSettings(current, settings || await this.promptSettingChanges(current));
+
+      if (changes.length === 0) {
+        displayInfo('No settings changed.');
+        return;
+      }
+
+      displayMessage(chalk.bold.yellow('\n📝 Changes:'));
+      changes.forEach(({ field, from, to }) => {
+        displayMessage(`   ${field}: ${formatValue(from)} → ${chalk.bold(formatValue(to))}`);
+      });
+
+      const confirm = await confirmAction(`Save ${changes.length} change${changes.length === 1 ? '' : 's'} to "${repoName}"?`);
+      if (!confirm) {
+        displayInfo('Edit cancelled.');
+        return;
+      }
+
+      const saveSpinner = createSpinner(`Saving settings of "${repoName}"...`);
+      try {
+        await this.client.applyRepositorySettings(
+          owner,
+          repoName,
+          Object.fromEntries(changes.map(({ field, to }) => [field, to]))
+        );
+        saveSpinner.succeed(`Settings of "${repoName}" saved`);
+
+        if (isStructuredOutput()) {
+          printRecords(changes.map(change => ({ name: repoName, ...change })), null);
+        }
+      } catch (error) {
+        saveSpinner.fail(`Failed to save settings of "${repoName}"`);
+        displayError(error);
+      }
+
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async bulkEditRepositories(repoNames = [], settings = null) {
+    try {
+      if (!settings) {
+        requireInteractive('--set');
+      }
+
+      const repos = await this.client.listActiveRepositories();
+
+      if (repos.length === 0) {
+        displayWarning('No active repositories found to edit.');
+        return;
+      }
+
+      const selectedRepos = await this.chooseRepositories(repos, repoNames, 'Select repositories to edit:');
+
+      // Handle back option
+      if (selectedRepos === 'back') {
+        return;
+      }
+
+      if (selectedRepos.length === 0) {
+        displayInfo('No repositories selected.');
+        return;
+      }
+
+      const target = settings || await this.promptSettingChanges();
+      if (Object.keys(target).length === 0) {
+        displayInfo('No settings selected.');
+        return;
+      }
+
+      const targetState = BULK_OPERATIONS.edit.targetState(target);
+      const confirm = await confirmBulkAction(selectedRepos, 'update settings', targetState);
+
+      if (!confirm) {
+        displayInfo('Bulk edit cancelled.');
+        return;
+      }
+
+      const spinner = createSpinner(`Updating settings of ${selectedRepos.length} repositories...`);
+
+      try {
+        const owner = await this.client.getOwner();
+        const { results, errors, job } = await this.runBulkJob('edit', owner, selectedRepos, target, spinner);
+        spinner.succeed('Bulk settings update completed');
+
+        displayBulkResults(results, errors, 'settings update', targetState);
+        process.exitCode = getBulkExitCode(results, errors);
+
+        this.displayJobHint(job, errors);
+
+      } catch (error) {
+        spinner.fail('Failed to perform bulk settings update');
+        displayError(error);
+      }
+
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async promptTopicChange() {
+    const { default: inquirer } = await import('inquirer');
+    const { mode, input } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'mode',
+        message: 'How do you want to change the topics?',
+        choices: [
+          { name: '➕ Add topics', value: 'add' },
+          { name: '➖ Remove topics', value: 'remove' },
+          { name: '🔁 Replace all topics', value: 'set' },
+          new inquirer.Separator(),
+          { name: '⬅️  Leave topics unchanged', value: null }
+        ]
+      },
+      {
+        type: 'input',
+        name: 'input',
+        message: 'Topics, comma separated:',
+        when: (answers) => answers.mode !== null,
+        validate: (value) => {
+          try {
+            parseTopics(value);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
+        }
+      }
+    ]);
+
+    return mode ? { [mode]: parseTopics(input) } : null;
+  }
+
+  async manageRepositoryTopics(repoName, change = null) {
+    try {
+      const owner = await this.client.getOwner();
+
+      if (!repoName) {
+        requireInteractive('A repository name');
+        const repos = await this.client.listActiveRepositories();
+        const selectedRepo = await selectRepository(repos, 'Select a repository to manage topics:', true);
+
+        if (selectedRepo === 'back') {
+          return;
+        }
+        repoName = selectedRepo.name;
+      }
+
+      const repo = await this.client.getRepository(owner, repoName);
+
+      // Without a change, just show the topics (and offer to edit them when interactive)
+      if (!change) {
+        if (isStructuredOutput()) {
+          printRecords(repo.topics.map(topic => ({ name: repo.name, topic })), null);
+          return;
+        }
+
+        console.log(chalk.bold.cyan(`\n🏷️  Topics of ${repo.full_name}:`));
+        console.log(`   ${repo.topics.length > 0 ? repo.topics.join(', ') : chalk.gray('(none)')}`);
+
+        if (isNonInteractive()) {
+          return;
+        }
+        change = await this.promptTopicChange();
+        if (!change) {
+          return;
+        }
+      }
+
+      const spinner = createSpinner(`Updating topics of "${repoName}"...`);
+      try {
+        const result = await this.client.updateTopics(owner, repoName, change);
+
+        if (!result.changed) {
+          spinner.info(`Topics of "${repoName}" are already up to date`);
+        } else {
+          spinner.succeed(`Topics of "${repoName}" updated`);
+        }
+
+        if (isStructuredOutput()) {
+          printRecords(result.topics.map(topic => ({ name: repoName, topic })), null);
+        } else {
+          console.log(`   🏷️  ${result.topics.length > 0 ? result.topics.join(', ') : chalk.gray('(none)')}`);
+        }
+      } catch (error) {
+        spinner.fail(`Failed to update topics of "${repoName}"`);
+        displayError(error);
+      }
+
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async bulkUpdateTopics(repoNames = [], change = null) {
+    try {
+      if (!change) {
+        requireInteractive('--add, --remove or --set');
+      }
+
+      const repos = await this.client.listActiveRepositories();
+
+      if (repos.length === 0) {
+        displayWarning('No active repositories found.');
+        return;
+      }
+
+      const selectedRepos = await this.chooseRepositories(repos, repoNames, 'Select repositories to update topics:');
+
+      // Handle back option
+      if (selectedRepos === 'back') {
+        return;
+      }
+
+      if (selectedRepos.length === 0) {
+        displayInfo('No repositories selected.');
+        return;
+      }
+
+      const target = change || await this.promptTopicChange();
+      if (!target) {
+        return;
+      }
+
+      const targetState = describeTopicChange(target);
+      const confirm = await confirmBulkAction(selectedRepos, 'update topics', targetState);
+
+      if (!confirm) {
+        displayInfo('Bulk topics update cancelled.');
+        return;
+      }
+
+      const spinner = createSpinner(`Updating topics of ${selectedRepos.length} repositories...`);
+
+      try {
+        const owner = await this.client.getOwner();
+        const { results, errors, job } = await this.runBulkJob('topics', owner, selectedRepos, target, spinner);
+        spinner.succeed('Bulk topics update completed');
+
+        displayBulkResults(results, errors, 'topics update', targetState);
+        process.exitCode = getBulkExitCode(results, errors);
+
+        this.displayJobHint(job, errors);
+
+      } catch (error) {
+        spinner.fail('Failed to perform bulk topics update');
+        displayError(error);
+      }
+
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async showTopicsReport() {
+    const spinner = createSpinner('Fetching repositories...');
+
+    try {
+      const repos = await this.client.listRepositories();
+      spinner.succeed(`Fetched ${repos.length} repositories`);
+
+      const usage = new Map();
+      repos.forEach(repo => repo.topics.forEach(topic => {
+        usage.set(topic, [...(usage.get(topic) || []), repo.name]);
+      }));
+
+      const report = [...usage.entries()]
+        .map(([topic, names]) => ({ topic, repositories: names.length, names }))
+        .sort((a, b) => b.repositories - a.repositories || a.topic.localeCompare(b.topic));
+
+      if (isStructuredOutput()) {
+        printRecords(report, null);
+        return;
+      }
+
+      const untagged = repos.filter(repo => repo.topics.length === 0);
+
+      console.log(chalk.bold.cyan(`\n🏷️  Topics in use (${report.length}):`));
+      report.forEach(({ topic, repositories, names }) => {
+        console.log(`   ${chalk.cyan(topic.padEnd(30))} ${String(repositories).padStart(4)}  ${chalk.gray(truncateText(names.join(', '), 60))}`);
+      });
+
+      console.log(chalk.gray(`\n   ${untagged.length} of ${repos.length} repositories have no topics`));
+      if (untagged.length > 0) {
+        console.log(chalk.gray(`   ${truncateText(untagged.map(repo => repo.name).join(', '), 100)}`));
+      }
+
+    } catch (error) {
+      spinner.fail('Failed to fetch repositories');
+      displayError(error);
+    }
+  }
+
+  async manageTopics() {
+    const { default: inquirer } = await import('inquirer');
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'Topics:',
+        choices: [
+          { name: '🏷️  View or change topics of a repository', value: 'single' },
+          { name: '🏷️  Change topics of several repositories', value: 'bulk' },
+          { name: '📊 Topics report', value: 'report' },
+          new inquirer.Separator(),
+          { name: '⬅️  Back to previous menu', value: 'back' }
+        ]
+      }
+    ]);
+
+    if (action === 'single') {
+      await this.manageRepositoryTopics();
+    } else if (action === 'bulk') {
+      await this.bulkUpdateTopics();
+    } else if (action === 'report') {
+      await this.showTopicsReport();
+    }
+  }
+
+  async renameRepository(repoName, newName) {
+    try {
+      const owner = await this.client.getOwner();
+
+      if (!repoName) {
+        requireInteractive('A repository name');
+        const repos = await this.client.listActiveRepositories();
+        const selectedRepo = await selectRepository(repos, 'Select a repository to rename:', true);
+
+        if (selectedRepo === 'back') {
+          return;
+        }
+        repoName = selectedRepo.name;
+      }
+
+      if (!newName) {
+        requireInteractive('A new name');
+        const { default: inquirer } = await import('inquirer');
+        ({ newName } = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'newName',
+            message: `New name for "${repoName}":`,
+            validate: (input) => isValidRepositoryName(input.trim()) || 'Use letters, numbers, ".", "-" and "_" only'
+          }
+        ]));
+        newName = newName.trim();
+      }
+
+      if (!isValidRepositoryName(newName)) {
+        throw new Error(`Invalid repository name "${newName}". Use letters, numbers, ".", "-" and "_" only`);
+      }
+      if (newName === repoName) {
+        throw new Error(`"${repoName}" already has that name`);
+      }
+
+      const spinner = createSpinner('Running pre-flight checks...');
+      try {
+        if (!await this.client.repositoryExists(owner, repoName)) {
+          throw new Error(`Repository ${owner}/${repoName} not found`);
+        }
+        // GitHub treats names case-insensitively, so a case-only rename is allowed
+        if (newName.toLowerCase() !== repoName.toLowerCase() && await this.client.repositoryExists(owner, newName)) {
+          throw new Error(`${owner}/${newName} already exists`);
+        }
+        spinner.succeed('Pre-flight checks passed');
+      } catch (error) {
+        spinner.fail('Pre-flight checks failed');
+        throw error;
+      }
+
+      displayMessage(chalk.bold.cyan(`\n✏️  Rename ${owner}/${repoName} → ${owner}/${newName}`));
+      displayRedirectNotes();
+
+      const confirm = await confirmAction(`Rename "${repoName}" to "${newName}"?`);
+      if (!confirm) {
+        displayInfo('Rename cancelled.');
+        return;
+      }
+
+      const renameSpinner = createSpinner(`Renaming "${repoName}"...`);
+      let results = [];
+      let errors = [];
+      try {
+        results = [await this.client.renameRepository(owner, repoName, newName)];
+        renameSpinner.succeed('Rename completed');
+      } catch (error) {
+        errors = [{ name: repoName, error: error.message }];
+        renameSpinner.fail('Rename failed');
+      }
+
+      displayBulkResults(results, errors, 'rename', newName);
+      process.exitCode = getBulkExitCode(results, errors);
+
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async transferRepositories(newOwner, repoNames = []) {
+    try {
+      const owner = await this.client.getOwner();
+
+      if (!newOwner) {
+        requireInteractive('A new owner');
+        const { default: inquirer } = await import('inquirer');
+        ({ newOwner } = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'newOwner',
+            message: 'Transfer to which user or organization?',
+            validate: (input) => input.trim().length > 0 || 'New owner cannot be empty'
+          }
+        ]));
+        newOwner = newOwner.trim();
+      }
+
+      if (newOwner.toLowerCase() === owner.toLowerCase()) {
+        throw new Error(`Repositories already belong to ${owner}`);
+      }
+
+      const repos = await this.client.listRepositories();
+      const selectedRepos = await this.chooseRepositories(repos, repoNames, `Select repositories to transfer to ${newOwner}:`);
+
+      // Handle back option
+      if (selectedRepos === 'back') {
+        return;
+      }
+
+      if (selectedRepos.length === 0) {
+        displayInfo('No repositories selected.');
+        return;
+      }
+
+      // The new owner must exist and every target name must be free before anything moves,
+      // so a bulk transfer never stops halfway on a typo or a conflict
+      const spinner = createSpinner(`Checking ${newOwner} and that the names are free there...`);
+      let account;
+      try {
+        account = await this.client.getAccount(newOwner);
+        newOwner = account.login;
+
+        const taken = [];
+        for (const repo of selectedRepos) {
+          if (await this.client.repositoryExists(newOwner, repo.name)) {
+            taken.push(repo.name);
+          }
+        }
+        if (taken.length > 0) {
+          throw new Error(`${newOwner} already has repositories named: ${taken.join(', ')}`);
+        }
+        spinner.succeed('Pre-flight checks passed');
+      } catch (error) {
+        spinner.fail('Pre-flight checks failed');
+        throw error;
+      }
+
+      displayRedirectNotes();
+      if (account.type !== 'Organization') {
+        displayMessage(chalk.gray(`   • ${newOwner} is a personal account: the transfers wait until ${newOwner} accepts them by email`));
+      }
+
+      const targetState = BULK_OPERATIONS.transfer.targetState({ new_owner: newOwner });
+      const confirm = await confirmBulkAction(selectedRepos, `transfer to ${newOwner}`, targetState);
+
+      if (!confirm) {
+        displayInfo('Transfer cancelled.');
+        return;
+      }
+
+      const transferSpinner = createSpinner(`Transferring ${selectedRepos.length} repositories to ${newOwner}...`);
+
+      try {
+        const { results, errors, job } = await this.runBulkJob('transfer', owner, selectedRepos, { new_owner: newOwner }, transferSpinner);
+        transferSpinner.succeed('Transfer completed');
+
+        displayBulkResults(results, errors, 'transfer', targetState);
+        process.exitCode = getBulkExitCode(results, errors);
+
+        this.displayJobHint(job, errors);
+
+      } catch (error) {
+        transferSpinner.fail('Failed to transfer repositories');
+        displayError(error);
+      }
+
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async findStaleRepositories(options = {}) {
+    const days = options.days === undefined ? DEFAULT_STALE_DAYS : options.days;
+
+    if (!Number.isInteger(days) || days < 1) {
+      throw new Error('--days must be a positive whole number');
+    }
+    if (options.action && !['archive', 'delete'].includes(options.action)) {
+      throw new Error('--action must be archive or delete');
+    }
+
+    const spinner = createSpinner('Fetching repositories...');
+    let candidates;
+    let checked;
+    let failures;
+
+    try {
+      const owner = await this.client.getOwner();
+      const repos = await this.client.listActiveRepositories();
+      const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+
+      // updated_at is never older than the last push, so only these can be stale and need the extra API calls
+      const possiblyStale = repos.filter(repo => Date.parse(repo.updated_at) < cutoff);
+      ({ results: checked, errors: failures } = await this.client.readLastCommits(owner, possiblyStale, {
+        onProgress: createProgressReporter(spinner, 'Checking last commits...')
+      }));
+      const lastCommits = new Map(checked.map(result => [result.name, result.last_commit]));
+
+      // Repositories whose last commit couldn't be read are reported as errors, not scored as inactive
+      candidates = possiblyStale
+        .filter(repo => lastCommits.has(repo.name))
+        .map(repo => scoreRepository(repo, { last_commit: lastCommits.get(repo.name) }, days))
+        .filter(candidate => candidate.days_inactive >= days)
+        .sort((a, b) => b.score - a.score);
+
+      spinner.succeed(`Found ${candidates.length} stale repositor${candidates.length === 1 ? 'y' : 'ies'} out of ${repos.length} active`);
+    } catch (error) {
+      spinner.fail('Failed to check repositories');
+      throw error;
+    }
+
+    failures.forEach(failure => displayWarning(`${failure.name}: ${failure.error}`));
+    if (failures.length > 0) {
+      process.exitCode = getBulkExitCode(checked, failures);
+    }
+
+    if (isStructuredOutput()) {
+      printRecords(candidates, null);
+    } else if (candidates.length === 0) {
+      displaySuccess(`No active repositories without activity in the last ${days} days${failures.length > 0 ? ' among those that could be checked' : ''}.`);
+    } else {
+      console.log(chalk.bold.yellow(`\n🕸️  Repositories inactive for ${days}+ days (most stale first):`));
+      candidates.forEach((candidate, index) => {
+        const suggestion = candidate.suggestion === 'delete' ? chalk.red('delete') : chalk.yellow('archive');
+        console.log(`\n   ${index + 1}. ${chalk.cyan(candidate.name)} ${chalk.gray(`score ${candidate.score}`)} → suggest ${suggestion}`);
+        console.log(`      Last activity: ${formatDate(candidate.last_activity)} (${candidate.days_inactive} days ago)`);
+        console.log(`      ⭐ ${candidate.stars} | 🔀 ${candidate.forks} | 🐛 ${candidate.open_issues}${candidate.fork ? chalk.yellow(' | Fork') : ''}`);
+      });
+    }
+
+    if (candidates.length === 0) {
+      return;
+    }
+
+    let action = options.action;
+    let names = candidates.map(candidate => candidate.name);
+
+    if (!action) {
+      if (isNonInteractive()) {
+        return;
+      }
+
+      const { default: inquirer } = await import('inquirer');
+      ({ action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: 'What would you like to do with these repositories?',
+          choices: [
+            { name: '📦 Archive some of them', value: 'archive' },
+            { name: '🗑️  Delete some of them', value: 'delete' },
+            { name: '⬅️  Nothing for now', value: null }
+          ]
+        }
+      ]));
+
+      if (!action) {
+        return;
+      }
+
+      // Preselect the repositories whose suggestion matches the chosen action
+      const { selected } = await inquirer.prompt([
+        {
+          type: 'checkbox',
+          name: 'selected',
+          message: `Select repositories to ${action}:`,
+          choices: candidates.map(candidate => ({
+            name: `${candidate.name} (score ${candidate.score}, suggest ${candidate.suggestion})`,
+            value: candidate.name,
+            checked: candidate.suggestion === action
+          })),
+          pageSize: 15
+        }
+      ]);
+
+      if (selected.length === 0) {
+        displayInfo('No repositories selected.');
+        return;
+      }
+      names = selected;
+    }
+
+    // The regular bulk flows take over from here: confirmation, backups, journaling and results
+    if (action === 'archive') {
+      await this.bulkArchiveRepositories(names);
+    } else {
+      await this.bulkDeleteRepositories(names);
+    }
+  }
+
+  async showStaleRepositories(options = {}) {
+    try {
+      await this.findStaleRepositories(options);
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async reviewForks(options = {}) {
+    try {
+      if (options.action && !['sync', 'delete'].includes(options.action)) {
+        throw new Error('--action must be sync or delete');
+      }
+
+      const spinner = createSpinner('Fetching forks...');
+      let statuses;
+      let failures;
+
+      try {
+        const owner = await this.client.getOwner();
+        const forks = (await this.client.listActiveRepositories()).filter(repo => repo.fork);
+        ({ results: statuses, errors: failures } = await this.client.readForkStatuses(owner, forks, {
+          onProgress: createProgressReporter(spinner, 'Comparing forks with upstream...')
+        }));
+        spinner.succeed(`Compared ${statuses.length} of ${forks.length} forks with their parents`);
+      } catch (error) {
+        spinner.fail('Failed to compare forks');
+        throw error;
+      }
+
+      failures.forEach(failure => displayWarning(`${failure.name}: ${failure.error}`));
+
+      const behind = statuses.filter(status => status.behind_by > 0);
+      const withoutUniqueWork = statuses.filter(status => !status.has_unique_work);
+
+      if (isStructuredOutput()) {
+        printRecords(statuses, null);
+      } else if (statuses.length === 0) {
+        displayInfo('No forks found.');
+      } else {
+        console.log(chalk.bold.cyan('\n🍴 Forks:'));
+        statuses.forEach(status => {
+          const verdict = status.has_unique_work
+            ? chalk.green(`unique work on ${status.unique_branches.join(', ')}`)
+            : chalk.yellow(status.behind_by > 0 ? 'no unique work, behind upstream' : 'identical to upstream');
+          console.log(`\n   ${chalk.cyan(status.name)} ${chalk.gray(`← ${status.parent}`)}`);
+          console.log(`      ${status.default_branch}: ${status.ahead_by} ahead, ${status.behind_by} behind | ${verdict}`);
+        });
+
+        console.log(chalk.bold('\n📊 Summary:'));
+        console.log(`   Behind upstream: ${chalk.yellow(behind.length)}`);
+        console.log(`   No unique commits or branches: ${chalk.yellow(withoutUniqueWork.length)}`);
+      }
+
+      if (failures.length > 0) {
+        process.exitCode = getBulkExitCode(statuses, failures);
+      }
+
+      let action = options.action;
+      if (!action) {
+        if (isNonInteractive() || (behind.length === 0 && withoutUniqueWork.length === 0)) {
+          return;
+        }
+
+        const { default: inquirer } = await import('inquirer');
+        ({ action } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'action',
+            message: 'What would you like to do?',
+            choices: [
+              { name: `🔄 Sync forks that are behind upstream (${behind.length})`, value: 'sync', disabled: behind.length === 0 },
+              { name: `🗑️  Delete forks with no unique work (${withoutUniqueWork.length})`, value: 'delete', disabled: withoutUniqueWork.length === 0 },
+              { name: '⬅️  Nothing for now', value: null }
+            ]
+          }
+        ]));
+
+        if (!action) {
+          return;
+        }
+      }
+
+      const candidates = (action === 'sync' ? behind : withoutUniqueWork).map(status => status.name);
+      if (candidates.length === 0) {
+        displayInfo(`No forks to ${action}.`);
+        return;
+      }
+
+      // Interactive runs pick from the candidates; --action takes all of them
+      const names = options.action ? candidates : await this.pickNames(candidates, `Select forks to ${action}:`);
+      if (names.length === 0) {
+        displayInfo('No forks selected.');
+        return;
+      }
+
+      if (action === 'delete') {
+        await this.bulkDeleteRepositories(names, 'delete-fork');
+        return;
+      }
+
+      const repos = names.map(name => ({ name }));
+      const confirm = await confirmBulkAction(repos, 'sync with upstream', BULK_OPERATIONS.sync.targetState());
+      if (!confirm) {
+        displayInfo('Fork sync cancelled.');
+        return;
+      }
+
+      const syncSpinner = createSpinner(`Syncing ${repos.length} forks...`);
+      try {
+        const owner = await this.client.getOwner();
+        const { results, errors, job } = await this.runBulkJob('sync', owner, repos, {}, syncSpinner);
+        syncSpinner.succeed('Fork sync completed');
+
+        displayBulkResults(results, errors, 'fork sync', BULK_OPERATIONS.sync.targetState());
+        process.exitCode = getBulkExitCode(results, errors);
+
+        this.displayJobHint(job, errors);
+      } catch (error) {
+        syncSpinner.fail('Failed to sync forks');
+        displayError(error);
+      }
+
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async pickNames(names, message) {
+    const { default: inquirer } = await import('inquirer');
+    const { selected } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'selected',
+        message,
+        choices: names.map(name => ({ name, value: name, checked: true })),
+        pageSize: 15
+      }
+    ]);
+
+    return selected;
+  }
+
+  async listBranches(repoName) {
+    try {
+      const owner = await this.client.getOwner();
+
+      if (!repoName) {
+        requireInteractive('A repository name');
+        const repos = await this.client.listRepositories();
+        const selectedRepo = await selectRepository(repos, 'Select a repository to list branches of:', true);
+
+        if (selectedRepo === 'back') {
+          return;
+        }
+        repoName = selectedRepo.name;
+      }
+
+      const spinner = createSpinner(`Fetching branches of "${repoName}"...`);
+      let branches;
+
+      try {
+        branches = await this.client.getBranches(owner, repoName);
+        spinner.succeed(`Found ${branches.length} branch${branches.length === 1 ? '' : 'es'} in "${repoName}"`);
+      } catch (error) {
+        spinner.fail(`Failed to fetch branches of "${repoName}"`);
+        throw error;
+      }
+
+      if (isStructuredOutput()) {
+        printRecords(branches, null);
+        return;
+      }
+
+      // Default branch first, then the most recently committed
+      const sorted = [...branches].sort((a, b) => b.default - a.default
+        || Date.parse(b.last_commit_date) - Date.parse(a.last_commit_date));
+      const defaultBranch = branches.find(branch => branch.default)?.name;
+
+      console.log(chalk.bold.cyan(`\n🌿 Branches of ${owner}/${repoName}:`));
+      sorted.forEach(branch => {
+        const state = branch.default
+          ? chalk.green('default')
+          : branch.merged ? chalk.gray('merged') : chalk.yellow('not merged');
+        console.log(`\n   ${chalk.cyan(branch.name)}${branch.protected ? ' 🔒' : ''} ${state}`);
+        console.log(`      Last commit: ${formatDate(branch.last_commit_date)} by ${branch.author}`);
+        if (!branch.default) {
+          console.log(`      ${branch.ahead_by} ahead, ${branch.behind_by} behind ${defaultBranch}`);
+        }
+      });
+
+      const cleanable = branches.filter(branch => getCleanupReason(branch));
+      if (cleanable.length > 0) {
+        displayInfo(`${cleanable.length} merged or stale (${DEFAULT_STALE_BRANCH_DAYS}+ days) branch${cleanable.length === 1 ? '' : 'es'}. Clean up with: node index.js branches cleanup ${repoName}`);
+      }
+
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async cleanupBranches(repoNames = [], options = {}) {
+    try {
+      const days = options.days === undefined ? DEFAULT_STALE_BRANCH_DAYS : options.days;
+
+      if (!Number.isInteger(days) || days < 1) {
+        throw new Error('--days must be a positive whole number');
+      }
+
+      // Without --merged or --stale both kinds of branches are cleaned up
+      const criteria = {
+        merged: Boolean(options.merged || !options.stale),
+        stale: Boolean(options.stale || !options.merged),
+        days
+      };
+
+      const repos = await this.client.listActiveRepositories();
+
+      if (repos.length === 0) {
+        displayWarning('No active repositories found.');
+        return;
+      }
+
+      const selectedRepos = await this.chooseRepositories(repos, repoNames, 'Select repositories to clean up branches in:');
+
+      // Handle back option
+      if (selectedRepos === 'back') {
+        return;
+      }
+
+      if (selectedRepos.length === 0) {
+        displayInfo('No repositories selected.');
+        return;
+      }
+
+      const owner = await this.client.getOwner();
+      const spinner = createSpinner('Fetching branches...');
+      let checked;
+      let failures;
+      let candidates;
+
+      try {
+        ({ results: checked, errors: failures } = await this.client.readBranches(owner, selectedRepos, {
+          onProgress: createProgressReporter(spinner, 'Comparing branches...')
+        }));
+        candidates = checked.flatMap(result => result.branches
+          .map(branch => ({ ...branch, reason: getCleanupReason(branch, criteria) }))
+          .filter(branch => branch.reason));
+        spinner.succeed(`Found ${candidates.length} branch${candidates.length === 1 ? '' : 'es'} to clean up in ${checked.length} repositories`);
+      } catch (error) {
+        spinner.fail('Failed to fetch branches');
+        throw error;
+      }
+
+      failures.forEach(failure => displayWarning(`${failure.name}: ${failure.error}`));
+
+      if (candidates.length === 0) {
+        displaySuccess(`No ${[criteria.merged && 'merged', criteria.stale && `stale (${days}+ days)`].filter(Boolean).join(' or ')} branches found.`);
+        process.exitCode = getBulkExitCode(checked, failures);
+        return;
+      }
+
+      displayMessage(chalk.bold.yellow('\n🧹 Branches to delete (protected and default branches are never included):'));
+      candidates.forEach(branch => {
+        displayMessage(`   ${chalk.cyan(toBranchItemName(branch.repo, branch.name))} ${chalk.gray(`${branch.reason}, last commit ${formatDate(branch.last_commit_date)} by ${branch.author}`)}`);
+      });
+
+      // Interactive runs pick from the candidates; non-interactive runs take all of them
+      let names = candidates.map(branch => toBranchItemName(branch.repo, branch.name));
+      if (!isNonInteractive()) {
+        names = await this.pickNames(names, 'Select branches to delete:');
+        if (names.length === 0) {
+          displayInfo('No branches selected.');
+          return;
+        }
+      }
+
+      const items = names.map(name => ({ name }));
+      const targetState = BULK_OPERATIONS['delete-branch'].targetState(criteria);
+      const confirm = await confirmBulkAction(items, 'delete branches in', targetState);
+
+      if (!confirm) {
+        displayInfo('Branch cleanup cancelled.');
+        return;
+      }
+
+      const deleteSpinner = createSpinner(`Deleting ${items.length} branches...`);
+
+      try {
+        const shas = Object.fromEntries(candidates.map(branch => [toBranchItemName(branch.repo, branch.name), branch.sha]));
+        const { results, errors, job } = await this.runBulkJob('delete-branch', owner, items, { ...criteria, shas }, deleteSpinner);
+        deleteSpinner.succeed('Branch cleanup completed');
+
+        displayBulkResults(results, errors, 'branch deletion', targetState);
+        // Repositories whose branches couldn't be read count as failures too
+        process.exitCode = getBulkExitCode(results, [...failures, ...errors]);
+
+        this.displayJobHint(job, errors);
+      } catch (error) {
+        deleteSpinner.fail('Failed to delete branches');
+        displayError(error);
+      }
+
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async manageBranches() {
+    const { default: inquirer } = await import('inquirer');
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'Branches:',
+        choices: [
+          { name: '🌿 List branches of a repository', value: 'list' },
+          { name: '🧹 Clean up merged or stale branches', value: 'cleanup' },
+          new inquirer.Separator(),
+          { name: '⬅️  Back to previous menu', value: 'back' }
+        ]
+      }
+    ]);
+
+    if (action === 'list') {
+      await this.listBranches();
+    } else if (action === 'cleanup') {
+      await this.cleanupBranches();
+    }
+  }
+
+  async showProtectionReport() {
+    const spinner = createSpinner('Fetching repositories...');
+    let statuses;
+    let failures;
+
+    try {
+      const owner = await this.client.getOwner();
+      const repos = await this.client.listRepositories();
+      ({ results: statuses, errors: failures } = await this.client.readBranchProtections(owner, repos, {
+        onProgress: createProgressReporter(spinner, 'Checking branch protection...')
+      }));
+      spinner.succeed(`Checked the default branch of ${statuses.length} of ${repos.length} repositories`);
+    } catch (error) {
+      spinner.fail('Failed to check branch protection');
+      displayError(error);
+      return;
+    }
+
+    // Free plans can't protect branches of private repositories, which GitHub reports as a 403 per repository
+    failures.forEach(failure => displayWarning(`${failure.name}: ${failure.error}`));
+
+    const unprotected = statuses.filter(status => !status.protected);
+
+    if (isStructuredOutput()) {
+      printRecords(statuses, null);
+    } else if (statuses.length > 0) {
+      console.log(chalk.bold.cyan('\n🛡️  Default branch protection:'));
+      [...unprotected, ...statuses.filter(status => status.protected)].forEach(status => {
+        const marker = status.protected ? chalk.green('✅') : chalk.red('❌');
+        const rules = status.protected ? describeProtection(status) : chalk.red('unprotected');
+        console.log(`   ${marker} ${chalk.cyan(status.name)} ${chalk.gray(`(${status.default_branch})`)} ${rules}`);
+      });
+
+      console.log(chalk.bold('\n📊 Summary:'));
+      console.log(`   Protected: ${chalk.green(statuses.length - unprotected.length)}`);
+      console.log(`   Unprotected: ${chalk.red(unprotected.length)}`);
+      if (failures.length > 0) {
+        console.log(`   Could not be checked: ${chalk.yellow(failures.length)}`);
+      }
+
+      if (unprotected.length > 0) {
+        displayInfo('Protect them with: node index.js protection apply <profile> [repos...]');
+      }
+    }
+
+    if (failures.length > 0) {
+      process.exitCode = getBulkExitCode(statuses, failures);
+    }
+  }
+
+  showProtectionProfiles() {
+    const profiles = Object.values(loadProtectionProfiles());
+
+    if (isStructuredOutput()) {
+      printRecords(profiles.map(({ name, description, rules }) => ({ name, description, ...rules })), null);
+      return;
+    }
+
+    console.log(chalk.bold.cyan('\n🛡️  Protection profiles:'));
+    profiles.forEach(profile => {
+      console.log(`\n   ${chalk.cyan(profile.name)} ${chalk.gray(profile.description)}`);
+      console.log(`      ${describeProtection(profile.rules)}`);
+    });
+    console.log(chalk.gray(`\n   Define your own profiles in ${getProfilesPath()}`));
+  }
+
+  async promptProtectionProfile() {
+    const { default: inquirer } = await import('inquirer');
+    const { profile } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'profile',
+        message: 'Protection profile:',
+        choices: [
+          ...Object.values(loadProtectionProfiles()).map(profile => ({
+            name: `${profile.name} - ${describeProtection(profile.rules)}`,
+            value: profile,
+            short: profile.name
+          })),
+          new inquirer.Separator(),
+          { name: '⬅️  Back to previous menu', value: null }
+        ]
+      }
+    ]);
+
+    return profile;
+  }
+
+  async applyProtectionProfile(profileName, repoNames = []) {
+    try {
+      if (!profileName) {
+        requireInteractive('A protection profile');
+      }
+
+      const profile = profileName ? getProtectionProfile(profileName) : await this.promptProtectionProfile();
+      if (!profile) {
+        return;
+      }
+
+      // Archived repositories are read-only, so their protection can't change
+      const repos = await this.client.listActiveRepositories();
+
+      if (repos.length === 0) {
+        displayWarning('No active repositories found.');
+        return;
+      }
+
+      const selectedRepos = await this.chooseRepositories(repos, repoNames, `Select repositories to protect with "${profile.name}":`);
+
+      // Handle back option
+      if (selectedRepos === 'back') {
+        return;
+      }
+
+      if (selectedRepos.length === 0) {
+        displayInfo('No repositories selected.');
+        return;
+      }
+
+      const target = { profile };
+      const targetState = BULK_OPERATIONS.protection.targetState(target);
+
+      displayMessage(chalk.gray(`\n${profile.name}: ${describeProtection(profile.rules)}`));
+      displayMessage(chalk.gray('The existing protection of each default branch is replaced, including push restrictions'));
+
+      const confirm = await confirmBulkAction(selectedRepos, 'protect the default branch of', targetState);
+
+      if (!confirm) {
+        displayInfo('Branch protection cancelled.');
+        return;
+      }
+
+      const spinner = createSpinner(`Protecting the default branch of ${selectedRepos.length} repositories...`);
+
+      try {
+        const owner = await this.client.getOwner();
+        const { results, errors, job } = await this.runBulkJob('protection', owner, selectedRepos, target, spinner);
+        spinner.succeed('Branch protection completed');
+
+        displayBulkResults(results, errors, 'branch protection', targetState);
+        process.exitCode = getBulkExitCode(results, errors);
+
+        this.displayJobHint(job, errors);
+      } catch (error) {
+        spinner.fail('Failed to protect default branches');
+        displayError(error);
+      }
+
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async manageBranchProtection() {
+    const { default: inquirer } = await import('inquirer');
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'Branch protection:',
+        choices: [
+          { name: '📊 Report default branch protection', value: 'report' },
+          { name: '🛡️  Apply a protection profile', value: 'apply' },
+          { name: '📋 Show protection profiles', value: 'profiles' },
+          new inquirer.Separator(),
+          { name: '⬅️  Back to previous menu', value: 'back' }
+        ]
+      }
+    ]);
+
+    if (action === 'report') {
+      await this.showProtectionReport();
+    } else if (action === 'apply') {
+      await this.applyProtectionProfile();
+    } else if (action === 'profiles') {
+      try {
+        this.showProtectionProfiles();
+      } catch (error) {
+        displayError(error);
+      }
+    }
+  }
+
+  async promptRepositoryName(message) {
+    requireInteractive('A repository name');
+    const repos = await this.client.listActiveRepositories();
+    const selectedRepo = await selectRepository(repos, message, true);
+
+    return selectedRepo === 'back' ? null : selectedRepo.name;
+  }
+
+  async promptHook(owner, repoName, message) {
+    requireInteractive('A webhook id');
+    const hooks = await this.client.listHooks(owner, repoName);
+
+    if (hooks.length === 0) {
+      throw new Error(`${owner}/${repoName} has no webhooks`);
+    }
+
+    const { default: inquirer } = await import('inquirer');
+    const { id } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'id',
+        message,
+        choices: hooks.map(hook => ({ name: `#${hook.id} ${hook.url} (${hook.events.join(', ')})`, value: hook.id, short: `#${hook.id}` }))
+      }
+    ]);
+
+    return id;
+  }
+
+  // Prompts for every setting with the current value as default; an empty secret keeps the current one
+  async promptHookSettings(current = null) {
+    const { default: inquirer } = await import('inquirer');
+    const answers = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'url',
+        message: 'Payload URL:',
+        default: current?.url,
+        validate: (input) => {
+          try {
+            validateHookSettings({ url: input.trim() });
+            return true;
+          } catch (error) {
+            return error.message;
+          }
+        }
+      },
+      {
+        type: 'input',
+        name: 'events',
+        message: 'Events (comma separated, * for all):',
+        default: current ? current.events.join(',') : 'push'
+      },
+      {
+        type: 'list',
+        name: 'content_type',
+        message: 'Content type:',
+        choices: HOOK_CONTENT_TYPES,
+        default: current?.content_type || 'json'
+      },
+      {
+        type: 'password',
+        name: 'secret',
+        message: current ? 'New secret (leave empty to keep the current one):' : 'Secret (optional):',
+        mask: '*'
+      },
+      {
+        type: 'confirm',
+        name: 'active',
+        message: 'Active?',
+        default: current ? current.active : true
+      }
+    ]);
+
+    return {
+      url: answers.url.trim(),
+      events: parseEvents(answers.events),
+      content_type: answers.content_type,
+      ...(answers.secret ? { secret: answers.secret } : {}),
+      active: answers.active
+    };
+  }
+
+  displayHooks(owner, repoName, hooks) {
+    const problems = findHookProblems(hooks);
+
+    console.log(chalk.bold.cyan(`\n🪝 Webhooks of ${owner}/${repoName} (${hooks.length}):`));
+    if (hooks.length === 0) {
+      console.log(chalk.gray('   (none)'));
+    }
+
+    hooks.forEach(hook => {
+      const state = hook.active ? chalk.green('active') : chalk.gray('inactive');
+      const delivery = isFailingHook(hook) ? chalk.red(describeDelivery(hook)) : describeDelivery(hook);
+      console.log(`\n   ${chalk.cyan(`#${hook.id}`)} ${hook.url} ${state}`);
+      console.log(`      Events: ${hook.events.join(', ')} | Last delivery: ${delivery}`);
+      (problems.get(hook.id) || []).forEach(problem => console.log(chalk.yellow(`      ⚠️  ${problem}`)));
+    });
+  }
+
+  async listHooks(repoName) {
+    try {
+      const owner = await this.client.getOwner();
+      repoName = repoName || await this.promptRepositoryName('Select a repository to list webhooks of:');
+      if (!repoName) {
+        return;
+      }
+
+      const spinner = createSpinner(`Fetching webhooks of "${repoName}"...`);
+      let hooks;
+
+      try {
+        hooks = await this.client.listHooks(owner, repoName);
+        spinner.succeed(`Found ${hooks.length} webhook${hooks.length === 1 ? '' : 's'} in "${repoName}"`);
+      } catch (error) {
+        spinner.fail(`Failed to fetch webhooks of "${repoName}"`);
+        throw error;
+      }
+
+      if (isStructuredOutput()) {
+        const problems = findHookProblems(hooks);
+        printRecords(hooks.map(hook => ({ ...hook, problems: problems.get(hook.id) || [] })), null);
+        return;
+      }
+
+      this.displayHooks(owner, repoName, hooks);
+
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async createHook(repoName, settings = null) {
+    try {
+      const owner = await this.client.getOwner();
+      repoName = repoName || await this.promptRepositoryName('Select a repository to add a webhook to:');
+      if (!repoName) {
+        return;
+      }
+
+      if (!settings) {
+        requireInteractive('--url');
+        settings = await this.promptHookSettings();
+      }
+      if (!settings.url) {
+        throw new Error('A webhook needs a payload URL: --url <url>');
+      }
+      validateHookSettings(settings);
+
+      const spinner = createSpinner(`Creating webhook for "${repoName}"...`);
+      try {
+        const hook = await this.client.createHook(owner, repoName, settings);
+        spinner.succeed(`Webhook ${hook.id ? `#${hook.id} ` : ''}created for "${repoName}"`);
+
+        if (isStructuredOutput()) {
+          printRecord(hook, null);
+        } else {
+          displayInfo(`Send a test delivery with: node index.js hooks ping ${repoName} ${hook.id || '<id>'}`);
+        }
+      } catch (error) {
+        spinner.fail(`Failed to create webhook for "${repoName}"`);
+        displayError(error);
+      }
+
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async updateHook(repoName, id, settings = null) {
+    try {
+      const owner = await this.client.getOwner();
+      repoName = repoName || await this.promptRepositoryName('Select a repository to update a webhook of:');
+      if (!repoName) {
+        return;
+      }
+      id = id || await this.promptHook(owner, repoName, 'Select a webhook to update:');
+
+      const current = (await this.client.listHooks(owner, repoName)).find(hook => hook.id === id);
+      if (!current) {
+        throw new Error(`Webhook #${id} not found in ${owner}/${repoName}`);
+      }
+
+      if (!settings) {
+        requireInteractive('--url, --events, --secret, --content-type, --active or --inactive');
+        settings = await this.promptHookSettings(current);
+      }
+      validateHookSettings(settings);
+
+      // Only what differs is sent; a secret can't be read back, so a given secret always counts as a change
+      const changes = Object.fromEntries(Object.entries(settings).filter(([field, value]) => field === 'secret'
+        || JSON.stringify(field === 'events' ? [...value].sort() : value) !== JSON.stringify(field === 'events' ? [...current.events].sort() : current[field])));
+
+      if (Object.keys(changes).length === 0) {
+        displayInfo('No webhook settings changed.');
+        return;
+      }
+
+      displayMessage(chalk.bold.yellow(`\n📝 Changes to webhook #${id}:`));
+      Object.entries(changes).forEach(([field, to]) => {
+        displayMessage(field === 'secret'
+          ? '   secret: (hidden) → (new secret)'
+          : `   ${field}: ${formatValue(current[field])} → ${chalk.bold(formatValue(to))}`);
+      });
+
+      const confirm = await confirmAction(`Save ${Object.keys(changes).length} change${Object.keys(changes).length === 1 ? '' : 's'} to webhook #${id}?`);
+      if (!confirm) {
+        displayInfo('Webhook update cancelled.');
+        return;
+      }
+
+      const spinner = createSpinner(`Updating webhook #${id}...`);
+      try {
+        const hook = await this.client.updateHook(owner, repoName, id, changes);
+        spinner.succeed(`Webhook #${id} of "${repoName}" updated`);
+
+        if (isStructuredOutput()) {
+          printRecord(hook, null);
+        }
+      } catch (error) {
+        spinner.fail(`Failed to update webhook #${id}`);
+        displayError(error);
+      }
+
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async deleteHook(repoName, id) {
+    try {
+      const owner = await this.client.getOwner();
+      repoName = repoName || await this.promptRepositoryName('Select a repository to delete a webhook from:');
+      if (!repoName) {
+        return;
+      }
+      id = id || await this.promptHook(owner, repoName, 'Select a webhook to delete:');
+
+      const confirm = await confirmAction(`Delete webhook #${id} of "${repoName}"? This cannot be undone.`);
+      if (!confirm) {
+        displayInfo('Webhook deletion cancelled.');
+        return;
+      }
+
+      const spinner = createSpinner(`Deleting webhook #${id}...`);
+      try {
+        const result = await this.client.deleteHook(owner, repoName, id);
+        spinner.succeed(`Webhook #${id} (${result.url}) deleted from "${repoName}"`);
+      } catch (error) {
+        spinner.fail(`Failed to delete webhook #${id}`);
+        displayError(error);
+      }
+
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async pingHook(repoName, id) {
+    try {
+      const owner = await this.client.getOwner();
+      repoName = repoName || await this.promptRepositoryName('Select a repository to ping a webhook of:');
+      if (!repoName) {
+        return;
+      }
+      id = id || await this.promptHook(owner, repoName, 'Select a webhook to ping:');
+
+      const spinner = createSpinner(`Pinging webhook #${id}...`);
+      try {
+        const hook = await this.client.pingHook(owner, repoName, id);
+        spinner.succeed(`Ping sent to ${hook.url}`);
+        displayInfo(`The response appears as the last delivery in: node index.js hooks ${repoName}`);
+      } catch (error) {
+        spinner.fail(`Failed to ping webhook #${id}`);
+        displayError(error);
+      }
+
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  // Account-wide report of failing and duplicate hooks. With prune, the flagged hooks of the chosen
+  // repositories (repoNames, or picked from the flagged ones) are deleted through a journaled bulk job
+  async showHooksReport(options = {}) {
+    const spinner = createSpinner('Fetching repositories...');
+    let flagged;
+    let failures;
+    let checked;
+    let owner;
+
+    try {
+      owner = await this.client.getOwner();
+      const repos = await this.client.listActiveRepositories();
+      const { results, errors } = await this.client.readHooks(owner, repos, {
+        onProgress: createProgressReporter(spinner, 'Checking webhooks...')
+      });
+      checked = results;
+      failures = errors;
+
+      flagged = results.flatMap(({ hooks }) => {
+        const problems = findHookProblems(hooks);
+        return hooks.filter(hook => problems.has(hook.id)).map(hook => ({ ...hook, problems: problems.get(hook.id) }));
+      });
+      spinner.succeed(`Checked ${results.reduce((sum, result) => sum + result.hooks.length, 0)} webhooks in ${results.length} of ${repos.length} repositories`);
+    } catch (error) {
+      spinner.fail('Failed to check webhooks');
+      displayError(error);
+      return;
+    }
+
+    failures.forEach(failure => displayWarning(`${failure.name}: ${failure.error}`));
+
+    if (isStructuredOutput() && !options.prune) {
+      printRecords(flagged, null);
+    } else if (flagged.length === 0) {
+      displaySuccess('No failing or duplicate webhooks found.');
+    } else {
+      displayMessage(chalk.bold.yellow(`\n🪝 Failing or duplicate webhooks (${flagged.length}):`));
+      flagged.forEach(hook => {
+        displayMessage(`   ${chalk.cyan(`${hook.repo} #${hook.id}`)} ${hook.url} ${chalk.yellow(hook.problems.join(', '))}`);
+      });
+    }
+
+    if (failures.length > 0) {
+      process.exitCode = getBulkExitCode(checked, failures);
+    }
+
+    if (flagged.length === 0 || (!options.prune && (isNonInteractive() || isStructuredOutput()))) {
+      return;
+    }
+
+    if (!options.prune) {
+      const confirmPrune = await confirmAction(`Remove failing or duplicate webhooks now?`);
+      if (!confirmPrune) {
+        return;
+      }
+    }
+
+    try {
+      // The repository picker shows what would be removed from each repository
+      const repoNames = [...new Set(flagged.map(hook => hook.repo))];
+      let selectedNames = options.repoNames?.length > 0 ? options.repoNames : repoNames;
+
+      if (!isNonInteractive() && !(options.repoNames?.length > 0)) {
+        const selected = await selectMultipleRepositories(
+          repoNames.map(name => ({ name, description: `${flagged.filter(hook => hook.repo === name).length} webhook(s) to remove` })),
+          'Select repositories to remove failing or duplicate webhooks from:',
+          true
+        );
+
+        if (selected === 'back') {
+          return;
+        }
+        selectedNames = selected.map(repo => repo.name);
+      }
+
+      const items = flagged
+        .filter(hook => selectedNames.includes(hook.repo))
+        .map(hook => ({ name: toHookItemName(hook.repo, hook.id) }));
+
+      if (items.length === 0) {
+        displayInfo('No repositories selected.');
+        return;
+      }
+
+      const targetState = BULK_OPERATIONS['delete-hook'].targetState();
+      const confirm = await confirmBulkAction(items, 'delete webhooks', targetState);
+      if (!confirm) {
+        displayInfo('Webhook cleanup cancelled.');
+        return;
+      }
+
+      const deleteSpinner = createSpinner(`Deleting ${items.length} webhooks...`);
+      try {
+        const { results, errors, job } = await this.runBulkJob('delete-hook', owner, items, {}, deleteSpinner);
+        deleteSpinner.succeed('Webhook cleanup completed');
+
+        displayBulkResults(results, errors, 'webhook deletion', targetState);
+        process.exitCode = getBulkExitCode(results, [...failures, ...errors]);
+
+        this.displayJobHint(job, errors);
+      } catch (error) {
+        deleteSpinner.fail('Failed to delete webhooks');
+        displayError(error);
+      }
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async manageHooks() {
+    const { default: inquirer } = await import('inquirer');
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'Webhooks:',
+        choices: [
+          { name: '🪝 List webhooks of a repository', value: 'list' },
+          { name: '➕ Create a webhook', value: 'create' },
+          { name: '✏️  Update a webhook', value: 'update' },
+          { name: '🗑️  Delete a webhook', value: 'delete' },
+          { name: '📡 Ping a webhook', value: 'ping' },
+          { name: '📊 Report failing or duplicate webhooks', value: 'report' },
+          new inquirer.Separator(),
+          { name: '⬅️  Back to previous menu', value: 'back' }
+        ]
+      }
+    ]);
+
+    if (action === 'list') {
+      await this.listHooks();
+    } else if (action === 'create') {
+      await this.createHook();
+    } else if (action === 'update') {
+      await this.updateHook();
+    } else if (action === 'delete') {
+      await this.deleteHook();
+    } else if (action === 'ping') {
+      await this.pingHook();
+    } else if (action === 'report') {
+      await this.showHooksReport();
+    }
+  }
+
+  async buildPlan(filePath) {
+    const desired = loadDesiredState(filePath);
+    const owner = desired.owner || await this.client.getOwner();
+    const spinner = createSpinner(`Reading current settings of ${desired.repositories.length} repositories...`);
+
+    try {
+      const { results, errors } = await this.client.readRepositorySettings(
+        owner,
+        desired.repositories.map(repo => repo.name),
+        { onProgress: createProgressReporter(spinner, 'Reading current settings...') }
+      );
+      spinner.succeed('Current settings fetched');
+
+      const current = new Map(results.map(result => [result.name, result.settings]));
+      const failures = new Map(errors.map(error => [error.name, error.error]));
+
+      return {
+        owner,
+        repositories: desired.repositories.map(({ name, settings }) => ({
+          name,
+          changes: current.has(name) ? diffSettings(current.get(name), settings) : [],
+          error: failures.get(name) || null
+        }))
+      };
+    } catch (error) {
+      spinner.fail('Failed to read current settings');
+      throw error;
+    }
+  }
+
+  displayPlan(plan) {
+    if (isStructuredOutput()) {
+      printRecords(plan.repositories.flatMap(({ name, changes, error }) => error
+        ? [{ name, field: null, from: null, to: null, error }]
+        : changes.map(({ field, from, to }) => ({ name, field, from, to, error: null }))), null);
+      return;
+    }
+
+    const drifted = plan.repositories.filter(repo => repo.changes.length > 0);
+    console.log(chalk.bold.cyan(`\n📝 Plan for ${plan.owner}: ${drifted.length} of ${plan.repositories.length} repositories to change`));
+
+    plan.repositories.forEach(({ name, changes, error }) => {
+      if (error) {
+        console.log(chalk.red(`\n   ! ${name}: ${error}`));
+      } else if (changes.length === 0) {
+        console.log(chalk.gray(`\n   ✓ ${name} (no changes)`));
+      } else {
+        console.log(chalk.yellow(`\n   ~ ${chalk.bold(name)}`));
+        changes.forEach(({ field, from, to }) => {
+          console.log(`       ${field}: ${formatValue(from)} → ${chalk.bold(formatValue(to))}`);
+        });
+      }
+    });
+  }
+
+  async showPlan(filePath) {
+    try {
+      const plan = await this.buildPlan(filePath);
+      this.displayPlan(plan);
+
+      if (plan.repositories.some(repo => repo.error)) {
+        process.exitCode = EXIT_CODES.FAILURE;
+      }
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async applyDesiredState(filePath) {
+    try {
+      const plan = await this.buildPlan(filePath);
+      this.displayPlan(plan);
+
+      const items = plan.repositories
+        .filter(repo => repo.changes.length > 0)
+        .map(repo => ({
+          name: repo.name,
+          changes: Object.fromEntries(repo.changes.map(({ field, to }) => [field, to]))
+        }));
+      const unreadable = plan.repositories.filter(repo => repo.error);
+
+      if (items.length === 0) {
+        displaySuccess('Everything matches the desired state. Nothing to apply.');
+        if (unreadable.length > 0) {
+          process.exitCode = EXIT_CODES.FAILURE;
+        }
+        return;
+      }
+
+      const target = { file: filePath, changes: Object.fromEntries(items.map(item => [item.name, item.changes])) };
+      const targetState = BULK_OPERATIONS.apply.targetState(target);
+      const confirm = await confirmBulkAction(items, `apply ${filePath}`, targetState);
+      if (!confirm) {
+        displayInfo('Apply cancelled.');
+        return;
+      }
+
+      const spinner = createSpinner(`Applying changes to ${items.length} repositories...`);
+
+      try {
+        const { results, errors, job } = await this.runBulkJob('apply', plan.owner, items.map(item => ({ name: item.name })), target, spinner);
+        spinner.succeed('Apply completed');
+
+        // Repositories whose current state couldn't be read count as failures too
+        const allErrors = [...unreadable.map(repo => ({ name: repo.name, error: repo.error })), ...errors];
+        displayBulkResults(results, allErrors, 'apply', targetState);
+        process.exitCode = getBulkExitCode(results, allErrors);
+
+        this.displayJobHint(job, errors);
+      } catch (error) {
+        spinner.fail('Failed to apply changes');
+        displayError(error);
+      }
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  summarizeJob(job) {
+    const counts = this.journal.countByStatus(job);
+    const { targetState } = BULK_OPERATIONS[job.operation];
+
+    return {
+      id: job.id,
+      operation: job.operation,
+      owner: job.owner,
+      target_state: targetState(job.target),
+      created_at: job.created_at,
+      status: this.journal.getStatus(job),
+      total: job.repos.length,
+      succeeded: counts.succeeded,
+      failed: counts.failed,
+      pending: counts.pending
+    };
+  }
+
+  listJobs() {
+    try {
+      const jobs = this.journal.list().map(job => this.summarizeJob(job));
+
+      if (isStructuredOutput()) {
+        printRecords(jobs, null);
+        return;
+      }
+
+      if (jobs.length === 0) {
+        displayInfo(`No bulk jobs recorded in ${this.journal.directory}.`);
+        return;
+      }
+
+      console.log(chalk.bold.cyan(`\n🧾 Bulk jobs (${jobs.length}):`));
+      jobs.forEach(job => {
+        const statusColor = job.status === 'completed' ? chalk.green : job.status === 'running' ? chalk.blue : chalk.yellow;
+        console.log(`\n   ${chalk.cyan(job.id)} ${statusColor(`[${job.status}]`)}`);
+        console.log(`      ${job.operation} → ${job.target_state} on ${job.owner}, started ${formatDate(job.created_at)}`);
+        console.log(`      ${chalk.green(`${job.succeeded} succeeded`)}, ${chalk.red(`${job.failed} failed`)}, ${chalk.gray(`${job.pending} pending`)} of ${job.total}`);
+      });
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async continueJob(id, statuses, description) {
+    const job = this.journal.load(id);
+    const { action, targetState } = BULK_OPERATIONS[job.operation];
+
+    if (this.journal.getStatus(job) === 'running') {
+      throw new Error(`Job ${job.id} is still running in process ${job.pid}`);
+    }
+
+    const repos = job.repos
+      .filter(entry => statuses.includes(entry.status))
+      .map(entry => ({ name: entry.name }));
+
+    if (repos.length === 0) {
+      displayInfo(`Job ${job.id} has no ${description} repositories.`);
+      return;
+    }
+
+    const confirm = await confirmBulkAction(repos, `${job.operation} (${description} from job ${job.id})`, targetState(job.target));
+    if (!confirm) {
+      displayInfo('Job continuation cancelled.');
+      return;
+    }
+
+    const spinner = createSpinner(`Continuing job ${job.id} for ${repos.length} repositories...`);
+
+    try {
+      const { results, errors } = await this.runBulkJob(job.operation, job.owner, repos, job.target, spinner, job);
+      spinner.succeed(`Job ${job.id} continued`);
+
+      displayBulkResults(results, errors, action, targetState(job.target));
+      process.exitCode = getBulkExitCode(results, errors);
+
+      this.displayJobHint(this.client.dryRun ? null : job, errors);
+    } catch (error) {
+      spinner.fail(`Failed to continue job ${job.id}`);
+      throw error;
+    }
+  }
+
+  async resumeJob(id) {
+    try {
+      // A run interrupted mid-flight can also have failures; resuming picks up only what never ran
+      await this.continueJob(id, ['pending'], 'pending');
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async retryFailedJob(id) {
+    try {
+      await this.continueJob(id, ['failed'], 'failed');
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  async manageJobs() {
+    const jobs = this.journal.list().filter(job => ['interrupted', 'completed with errors'].includes(this.journal.getStatus(job)));
+
+    if (jobs.length === 0) {
+      displayInfo('No interrupted or failed bulk jobs to continue.');
+      return;
+    }
+
+    const { default: inquirer } = await import('inquirer');
+    const { selectedJob } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'selectedJob',
+        message: 'Select a job to continue:',
+        choices: [
+          ...jobs.map(job => {
+            const summary = this.summarizeJob(job);
+            return {
+              name: `${summary.id} - ${summary.operation} on ${summary.owner} (${summary.failed} failed, ${summary.pending} pending)`,
+              value: summary,
+              short: summary.id
+            };
+          }),
+          new inquirer.Separator(),
+          {
+            name: '⬅️  Back to previous menu',
+            value: null,
+            short: 'Back'
+          }
+        ],
+        pageSize: 10
+      }
+    ]);
+
+    if (!selectedJob) {
+      return;
+    }
+
+    if (selectedJob.pending > 0) {
+      await this.resumeJob(selectedJob.id);
+    }
+    if (selectedJob.failed > 0) {
+      await this.retryFailedJob(selectedJob.id);
+    }
+  }
 }
 
 export default GitHubCommands; 
\ No newline at end of file
@@ -0,0 +1,50 @@
+import fs from 'fs';
+import { parse as parseYaml } from 'yaml';
+import { validateSettings } from './settings.js';
+import { isValidRepositoryName } from './utils.js';
+
+// Reads a "repos as code" file:
+//
+//   owner: my-company        # optional, defaults to --org or the authenticated user
+//   defaults:                # optional, applied to every repository below
+//     delete_branch_on_merge: true
+//   repositories:
+//     my-repo:
+//       private: true
+//       topics: [cli, node]
+export const loadDesiredState = (filePath) => {
+  let document;
+
+  try {
+    // YAML is a superset of JSON, so one parser handles both
+    document = parseYaml(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+  }
+
+  if (!document || typeof document !== 'object' || !document.repositories || typeof document.repositories !== 'object') {
+    throw new Error(`${filePath} must contain a "repositories" map`);
+  }
+
+  const unknownKeys = Object.keys(document).filter(key => !['owner', 'defaults', 'repositories'].includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`Unknown top-level key${unknownKeys.length === 1 ? '' : 's'} in ${filePath}: ${unknownKeys.join(', ')}`);
+  }
+
+  const defaults = document.defaults ? validateSettings(document.defaults, 'defaults') : {};
+  const repositories = Object.entries(document.repositories).map(([name, settings]) => {
+    if (!isValidRepositoryName(name)) {
+      throw new Error(`Invalid repository name "${name}" in ${filePath}`);
+    }
+
+    return {
+      name,
+      settings: { ...defaults, ...validateSettings(settings || {}, `repositories.${name}`) }
+    };
+  });
+
+  return {
+    owner: document.owner || null,
+    repositories
+  };
+};
@@ -0,0 +1,207 @@
+// Short names accepted in filter and sort expressions, mapped to repository fields
+const FIELD_ALIASES = {
+  stars: 'stargazers_count',
+  forks: 'forks_count',
+  issues: 'open_issues_count',
+  updated: 'updated_at',
+  created: 'created_at',
+  lang: 'language',
+  branch: 'default_branch',
+  topic: 'topics'
+};
+
+const FIELD_TYPES = {
+  name: 'string',
+  full_name: 'string',
+  description: 'string',
+  language: 'string',
+  default_branch: 'string',
+  topics: 'list',
+  private: 'boolean',
+  fork: 'boolean',
+  archived: 'boolean',
+  stargazers_count: 'number',
+  forks_count: 'number',
+  open_issues_count: 'number',
+  size: 'number',
+  updated_at: 'date',
+  created_at: 'date'
+};
+
+export const SORT_KEYS = ['stars', 'forks', 'updated', 'created', 'name', 'size'];
+
+const TERM_PATTERN = /^([a-z_]+)(!=|>=|<=|=|>|<|~)(.*)$/i;
+
+const RELATIVE_DATE_UNITS = {
+  d: 1,
+  w: 7,
+  m: 30,
+  y: 365
+};
+
+const resolveField = (key) => {
+  const field = FIELD_ALIASES[key.toLowerCase()] || key.toLowerCase();
+
+  if (!FIELD_TYPES[field]) {
+    throw new Error(`Unknown filter field "${key}". Available fields: ${[...Object.keys(FIELD_ALIASES), ...Object.keys(FIELD_TYPES)].join(', ')}`);
+  }
+
+  return field;
+};
+
+// Splits on whitespace while keeping quoted values such as description~"old project" together
+const tokenize = (expression) => expression.match(/(?:[^\s"']+|"[^"]*"|'[^']*')+/g) || [];
+
+const unquote = (value) => value.replace(/^(["'])(.*)\1$/, '$2');
+
+export const parseDate = (value, context) => {
+  const relative = value.match(/^(\d+)([dwmy])$/i);
+
+  // "updated<90d" means "last updated more than 90 days ago"
+  if (relative) {
+    const days = parseInt(relative[1], 10) * RELATIVE_DATE_UNITS[relative[2].toLowerCase()];
+    return Date.now() - days * 24 * 60 * 60 * 1000;
+  }
+
+  const timestamp = Date.parse(value);
+  if (Number.isNaN(timestamp)) {
+    throw new Error(`Invalid date in ${context}`);
+  }
+
+  return timestamp;
+};
+
+const parseValue = (type, value, term) => {
+  switch (type) {
+    case 'boolean':
+      if (!['true', 'false', 'yes', 'no'].includes(value.toLowerCase())) {
+        throw new Error(`Expected true or false in filter term "${term}"`);
+      }
+      return ['true', 'yes'].includes(value.toLowerCase());
+
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || Number.isNaN(number)) {
+        throw new Error(`Expected a number in filter term "${term}"`);
+      }
+      return number;
+    }
+
+    case 'date':
+      return parseDate(value, `filter term "${term}"`);
+
+    default:
+      return value.toLowerCase();
+  }
+};
+
+const matchesText = (actual, expected) => {
+  if (!expected.includes('*')) {
+    return actual === expected;
+  }
+
+  const pattern = expected.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${pattern}$`).test(actual);
+};
+
+const compare = (actual, operator, expected) => {
+  switch (operator) {
+    case '=': return actual === expected;
+    case '!=': return actual !== expected;
+    case '>': return actual > expected;
+    case '<': return actual < expected;
+    case '>=': return actual >= expected;
+    case '<=': return actual <= expected;
+    default: return false;
+  }
+};
+
+const buildPredicate = (term) => {
+  const match = term.match(TERM_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid filter term "${term}". Expected <field><operator><value>, e.g. stars>10`);
+  }
+
+  const [, key, operator, rawValue] = match;
+  const field = resolveField(key);
+  const type = FIELD_TYPES[field];
+  const expected = parseValue(type, unquote(rawValue), term);
+
+  if (['string', 'list', 'boolean'].includes(type) && !['=', '!=', '~'].includes(operator)) {
+    throw new Error(`Operator "${operator}" cannot be used with ${field} in filter term "${term}"`);
+  }
+
+  if (operator === '~' && !['string', 'list'].includes(type)) {
+    throw new Error(`Operator "~" can only be used with text fields in filter term "${term}"`);
+  }
+
+  return (repo) => {
+    const value = repo[field];
+
+    if (type === 'list') {
+      const items = (value || []).map(item => item.toLowerCase());
+      const found = operator === '~'
+        ? items.some(item => item.includes(expected))
+        : items.some(item => matchesText(item, expected));
+      return operator === '!=' ? !found : found;
+    }
+
+    if (value === null || value === undefined) {
+      // Missing values only satisfy negative comparisons, e.g. language!=Go for repos without a language
+      return operator === '!=';
+    }
+
+    switch (type) {
+      case 'string': {
+        const text = String(value).toLowerCase();
+        if (operator === '~') return text.includes(expected);
+        const matches = matchesText(text, expected);
+        return operator === '!=' ? !matches : matches;
+      }
+
+      case 'date':
+        return compare(Date.parse(value), operator, expected);
+
+      default:
+        return compare(value, operator, expected);
+    }
+  };
+};
+
+export const parseFilter = (expression) => {
+  const predicates = tokenize(expression || '').map(buildPredicate);
+  return (repo) => predicates.every(predicate => predicate(repo));
+};
+
+export const filterRepositories = (repos, expression) => {
+  if (!expression || expression.trim().length === 0) {
+    return repos;
+  }
+
+  return repos.filter(parseFilter(expression));
+};
+
+export const sortRepositories = (repos, key, reverse = false) => {
+  if (!key) {
+    return reverse ? [...repos].reverse() : repos;
+  }
+
+  if (!SORT_KEYS.includes(key)) {
+    throw new Error(`Unknown sort key "${key}". Use one of: ${SORT_KEYS.join(', ')}`);
+  }
+
+  const field = resolveField(key);
+  const type = FIELD_TYPES[field];
+
+  const sorted = [...repos].sort((a, b) => {
+    if (type === 'string') {
+      return String(a[field] || '').localeCompare(String(b[field] || ''));
+    }
+
+    const valueOf = (repo) => type === 'date' ? Date.parse(repo[field]) || 0 : repo[field] || 0;
+    // Numbers and dates sort largest/newest first
+    return valueOf(b) - valueOf(a);
+  });
+
+  return reverse ? sorted.reverse() : sorted;
+};
@@ -0,0 +1,103 @@
+import { stringify as toYaml } from 'yaml';
+
+export const OUTPUT_FORMATS = ['pretty', 'json', 'csv', 'tsv', 'table', 'yaml'];
+
+// Columns used for csv/tsv/table output of repositories when --fields is not given
+export const DEFAULT_REPOSITORY_FIELDS = [
+  'name',
+  'private',
+  'fork',
+  'archived',
+  'language',
+  'stargazers_count',
+  'forks_count',
+  'updated_at',
+  'html_url'
+];
+
+// Falls back to plain tab-separated output when stdout is piped or redirected
+export const resolveOutputFormat = (format) => {
+  const resolved = format || (process.stdout.isTTY ? 'pretty' : 'tsv');
+
+  if (!OUTPUT_FORMATS.includes(resolved)) {
+    throw new Error(`Unknown output format "${resolved}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  return resolved;
+};
+
+export const parseFields = (fields) => {
+  if (!fields) return null;
+  return fields.split(',').map(field => field.trim()).filter(field => field.length > 0);
+};
+
+const getColumns = (records) => [...new Set(records.flatMap(record => Object.keys(record)))];
+
+const pickFields = (records, fields) => {
+  if (!fields) return records;
+
+  const available = getColumns(records);
+  const unknown = fields.filter(field => !available.includes(field));
+  if (records.length > 0 && unknown.length > 0) {
+    throw new Error(`Unknown field${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}. Available fields: ${available.join(', ')}`);
+  }
+
+  return records.map(record => Object.fromEntries(fields.map(field => [field, record[field]])));
+};
+
+const toCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(';');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const escapeCsv = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+const escapeTsv = (value) => value.replace(/[\t\r\n]/g, ' ');
+
+const toRows = (records, columns) => records.map(record => columns.map(column => toCell(record[column])));
+
+const formatTable = (columns, rows) => {
+  const cells = [columns, ...rows];
+  const widths = columns.map((_, index) => Math.max(...cells.map(row => row[index].length)));
+  const lines = cells.map(row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd());
+
+  lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+  return lines.join('\n');
+};
+
+export const formatRecords = (records, format, fields = null, defaultFields = null) => {
+  const picked = pickFields(records, fields);
+  // json and yaml keep every field unless --fields narrows them down
+  const columns = fields || defaultFields || getColumns(picked);
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(picked, null, 2);
+
+    case 'yaml':
+      return toYaml(picked).trimEnd();
+
+    case 'csv':
+      return [columns, ...toRows(picked, columns)].map(row => row.map(escapeCsv).join(',')).join('\n');
+
+    case 'tsv':
+      return [columns, ...toRows(picked, columns)].map(row => row.map(escapeTsv).join('\t')).join('\n');
+
+    case 'table':
+      return formatTable(columns, toRows(picked, columns));
+
+    default:
+      throw new Error(`Unknown output format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+};
+
+export const formatRecord = (record, format, fields = null) => {
+  if (format === 'json' || format === 'yaml') {
+    const [picked] = pickFields([record], fields);
+    return format === 'json' ? JSON.stringify(picked, null, 2) : toYaml(picked).trimEnd();
+  }
+
+  return formatRecords([record], format, fields);
+};
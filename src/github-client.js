@@ -1,21 +1,133 @@
 import { Octokit } from '@octokit/rest';
 import dotenv from 'dotenv';
+import DryRunPlanner from './planner.js';
+import BackupManager from './backup.js';
+import AuditLog from './audit.js';
+import { pickSettings } from './settings.js';
+import { mapHook, toHookItemName, parseHookItemName } from './hooks.js';
+import { findSensitiveFiles, findSecretsInContent, selectFilesToScan, describeFindings, MAX_SCANNED_FILES } from './visibility-checks.js';
+import { normalizePermission, toApiPermission, findGrant } from './access.js';
+import { parseBranchItemName, toBranchItemName } from './branches.js';
+import { PROTECTION_RULES, summarizeProtection, toProtectionRequest, diffProtection } from './protection.js';
+import { executeBulk, DEFAULT_CONCURRENCY } from './bulk-executor.js';
+import { installRateLimitHandling } from './rate-limit.js';
+import { installResponseCache, DEFAULT_CACHE_TTL } from './cache.js';
+import { displayWarning } from './utils.js';
 
-dotenv.config();
+// quiet keeps dotenv's banner out of piped json/csv output
+dotenv.config({ quiet: true });
+
+const mapRepository = (repo) => ({
+  id: repo.id,
+  name: repo.name,
+  full_name: repo.full_name,
+  description: repo.description,
+  private: repo.private,
+  fork: repo.fork,
+  language: repo.language,
+  stargazers_count: repo.stargazers_count,
+  forks_count: repo.forks_count,
+  updated_at: repo.updated_at,
+  created_at: repo.created_at,
+  html_url: repo.html_url,
+  clone_url: repo.clone_url,
+  archived: repo.archived || false,
+  default_branch: repo.default_branch,
+  size: repo.size,
+  open_issues_count: repo.open_issues_count,
+  topics: repo.topics || []
+});
+
+const pick = (data, fields) => Object.fromEntries(fields.map(field => [field, data[field]]));
+
+// Names the update by what it changes so the audit log can be queried by operation
+const describeUpdate = (changes) => {
+  const fields = Object.keys(changes);
+
+  if (fields.length === 1 && fields[0] === 'private') return 'visibility';
+  if (fields.length === 1 && fields[0] === 'archived') return changes.archived ? 'archive' : 'unarchive';
+  if (fields.length === 1 && fields[0] === 'name') return 'rename';
+  return 'update';
+};
 
 class GitHubClient {
-  constructor() {
+  constructor(options = {}) {
     const token = process.env.GITHUB_TOKEN;
     
     if (!token) {
       throw new Error('GitHub token not found. Please set GITHUB_TOKEN in your .env file');
     }
 
+    this.token = token;
     this.octokit = new Octokit({
       auth: token,
+      // Failed requests are reported by our own error handling; octokit would also print every
+      // expected 404 (existence checks, repositories without commits) to stderr
+      log: { debug: () => {}, info: () => {}, warn: console.warn, error: () => {} }
+    });
+    installRateLimitHandling(this.octokit, {
+      onWait: (delay, reason) => displayWarning(`GitHub API ${reason}, retrying in ${Math.ceil(delay / 1000)}s...`)
+    });
+
+    const cacheTtl = Number(options.cacheTtl ?? process.env.GITHUB_CACHE_TTL ?? DEFAULT_CACHE_TTL);
+    if (!Number.isInteger(cacheTtl) || cacheTtl < 0) {
+      throw new Error('Cache TTL must be a whole number of seconds');
+    }
+    // Installed after rate-limit handling so cache hits never wait for a rate-limit pause
+    this.cache = installResponseCache(this.octokit, {
+      token,
+      ttl: cacheTtl,
+      refresh: Boolean(options.refresh),
+      offline: Boolean(options.offline)
     });
 
     this.username = process.env.GITHUB_USERNAME;
+    this.org = options.org || null;
+    this.dryRun = Boolean(options.dryRun);
+    // --force lets visibility changes through despite pre-flight findings
+    this.force = Boolean(options.force);
+    // Pre-flight results the commands already showed, used once by the visibility change that follows
+    this.visibilityChecks = new Map();
+    this.planner = new DryRunPlanner(this.octokit);
+    // GITHUB_BACKUP_BEFORE_DELETE=true enforces backups as a policy, --backup opts in per run
+    this.backupBeforeDelete = Boolean(options.backup) || process.env.GITHUB_BACKUP_BEFORE_DELETE === 'true';
+    this.backups = new BackupManager(this, options.backupDir);
+    this.audit = new AuditLog();
+    // Set while a journaled bulk job runs so its audit entries can be traced back (and undone) as a unit
+    this.activeJobId = null;
+    this.concurrency = parseInt(options.concurrency || process.env.GITHUB_CONCURRENCY || DEFAULT_CONCURRENCY, 10);
+
+    if (!Number.isInteger(this.concurrency) || this.concurrency < 1) {
+      throw new Error('Concurrency must be a positive whole number');
+    }
+  }
+
+  setOrganization(org) {
+    this.org = org || null;
+  }
+
+  // Repositories are managed under the selected organization, or the authenticated user otherwise
+  async getOwner() {
+    if (this.org) {
+      return this.org;
+    }
+
+    return this.getUsername();
+  }
+
+  async listOrganizations() {
+    try {
+      const orgs = await this.octokit.paginate(this.octokit.orgs.listForAuthenticatedUser, {
+        per_page: 100
+      });
+
+      return orgs.map(org => ({
+        login: org.login,
+        description: org.description
+      }));
+    } catch (error) {
+      throw new Error(`Failed to list organizations: ${error.message}`);
+    }
   }
 
   async getUsername() {
@@ -32,37 +144,57 @@ class GitHubClient {
     }
   }
 
-  async listRepositories(options = {}) {
+  async *iterateRepositories(options = {}) {
+    const { limit, ...params } = options;
+    let count = 0;
+
     try {
-      const { data: repos } = await this.octokit.repos.listForAuthenticatedUser({
-        per_page: 100,
-        page: 2,
+      const endpoint = this.org
+        ? this.octokit.repos.listForOrg
+        : this.octokit.repos.listForAuthenticatedUser;
+      const pages = this.octokit.paginate.iterator(endpoint, {
+        ...(this.org ? { org: this.org, type: 'all' } : {}),
+        per_page: limit ? Math.min(limit, 100) : 100,
         sort: 'updated',
         direction: 'asc',
-        ...options
+        ...params
       });
 
-      return repos.map(repo => ({
-        id: repo.id,
-        name: repo.name,
-        full_name: repo.full_name,
-        description: repo.description,
-        private: repo.private,
-        fork: repo.fork,
-        language: repo.language,
-        stargazers_count: repo.stargazers_count,
-        forks_count: repo.forks_count,
-        updated_at: repo.updated_at,
-        created_at: repo.created_at,
-        html_url: repo.html_url,
-        clone_url: repo.clone_url,
-        archived: repo.archived || false
-      }));
+      // Follows the Link header page by page so callers can render before the last page arrives
+      for await (const { data } of pages) {
+        let page = data.map(mapRepository);
+
+        if (limit) {
+          page = page.slice(0, limit - count);
+        }
+
+        count += page.length;
+        yield page;
+
+        if (limit && count >= limit) {
+          return;
+        }
+      }
     } catch (error) {
       throw new Error(`Failed to list repositories: ${error.message}`);
     }
   }
 
+  async listRepositories(options = {}) {
+    const { onPage, ...params } = options;
+    const repos = [];
+
+    for await (const page of this.iterateRepositories(params)) {
+      repos.push(...page);
+
+      if (onPage) {
+        onPage(page, repos.length);
+      }
+    }
+
+    return repos;
+  }
+
   async listArchivedRepositories() {
     try {
       const repos = await this.listRepositories();
@@ -103,40 +235,35 @@ class GitHubClient {
 
   async searchRepositories(query, options = {}) {
     try {
-      const username = await this.getUsername();
+      // The search API can't be asked offline; search the cached repository list instead
+      if (this.cache.offline) {
+        const terms = query.toLowerCase().split(/\s+/).filter(term => term.length > 0);
+        const repos = await this.listRepositories();
+        return repos.filter(repo => terms.every(term => [repo.name, repo.description || '', ...repo.topics]
+          .some(text => text.toLowerCase().includes(term))));
+      }
+
+      const qualifier = this.org ? `org:${this.org}` : `user:${await this.getUsername()}`;
       const { data } = await this.octokit.search.repos({
-        q: `${query} user:${username}`,
+        q: `${query} ${qualifier}`,
         per_page: 100,
         sort: 'updated',
         ...options
       });
 
-      return data.items.map(repo => ({
-        id: repo.id,
-        name: repo.name,
-        full_name: repo.full_name,
-        description: repo.description,
-        private: repo.private,
-        fork: repo.fork,
-        language: repo.language,
-        stargazers_count: repo.stargazers_count,
-        forks_count: repo.forks_count,
-        updated_at: repo.updated_at,
-        created_at: repo.created_at,
-        html_url: repo.html_url,
-        clone_url: repo.clone_url,
-        archived: repo.archived || false
-      }));
+      return data.items.map(mapRepository);
     } catch (error) {
       throw new Error(`Failed to search repositories: ${error.message}`);
     }
   }
 
-  async getRepository(owner, repo) {
+  // options.current bypasses the cache for reads a change or safety check depends on
+  async getRepository(owner, repo, options = {}) {
     try {
       const { data } = await this.octokit.repos.get({
         owner,
-        repo
+        repo,
+        ...(options.current ? { headers: { 'cache-control': 'no-cache' } } : {})
       });
 
       return {
@@ -160,22 +287,977 @@ class GitHubClient {
         topics: data.topics || []
       };
     } catch (error) {
+      // Offline, a repository that was only ever seen in a list is still answered from that list
+      if (this.cache.offline) {
+        const listed = (await this.listRepositories().catch(() => []))
+          .find(item => item.name.toLowerCase() === repo.toLowerCase());
+        if (listed) {
+          return listed;
+        }
+      }
       throw new Error(`Failed to get repository: ${error.message}`);
     }
   }
 
-  async deleteRepository(owner, repo) {
+  // Bypasses the response cache: used for the state right before a change, which must be current
+  async getCurrentRepository(owner, repo) {
+    const { data } = await this.octokit.repos.get({ owner, repo, headers: { 'cache-control': 'no-cache' } });
+    return data;
+  }
+
+  // Runs a mutating call and appends its outcome to the audit log, whether it succeeded or not.
+  // mutate fills in entry.before/entry.after as it learns them
+  async recordMutation(operation, owner, repo, mutate) {
+    const entry = {
+      actor: await this.getUsername(),
+      owner,
+      repo,
+      operation,
+      job_id: this.activeJobId,
+      before: null,
+      after: null
+    };
+
+    try {
+      const result = await mutate(entry);
+      this.writeAuditEntry({ ...entry, outcome: 'success', error: null });
+      return result;
+    } catch (error) {
+      this.writeAuditEntry({ ...entry, outcome: 'failure', error: error.message });
+      throw error;
+    }
+  }
+
+  writeAuditEntry(entry) {
     try {
+      this.audit.record(entry);
+    } catch (error) {
+      // Never fail a change that already happened because the log couldn't be written
+      displayWarning(`Could not write audit log ${this.audit.filePath}: ${error.message}`);
+    }
+  }
+
+  // Every repos.update/delete goes through these two so --dry-run can intercept them
+  async updateRepository(owner, repo, changes) {
+    // Checked here so every path to a visibility change (bulk, apply, undo, resumed jobs) is covered.
+    // When the commands already ran the check to show its findings, that result is used instead
+    if ('private' in changes && !this.force) {
+      const key = `${owner}/${repo}:${changes.private}`;
+      const { findings } = this.visibilityChecks.get(key) || await this.checkVisibilityChange(owner, repo, changes.private);
+      this.visibilityChecks.delete(key);
+      if (findings.length > 0) {
+        throw new Error(`Blocked by pre-flight checks: ${describeFindings(findings)}. Use --force to change visibility anyway`);
+      }
+    }
+
+    if (this.dryRun) {
+      return this.planner.planUpdate(owner, repo, changes);
+    }
+
+    const fields = Object.keys(changes);
+
+    return this.recordMutation(describeUpdate(changes), owner, repo, async (entry) => {
+      const current = await this.getCurrentRepository(owner, repo);
+      entry.before = pick(current, fields);
+
+      const { data } = await this.octokit.repos.update({
+        owner,
+        repo,
+        ...changes
+      });
+      entry.after = pick(data, fields);
+      return data;
+    });
+  }
+
+  async removeRepository(owner, repo) {
+    if (this.dryRun) {
+      return this.planner.planDelete(owner, repo);
+    }
+
+    return this.recordMutation('delete', owner, repo, async (entry) => {
+      const current = await this.getCurrentRepository(owner, repo);
+      entry.before = mapRepository(current);
+
       await this.octokit.repos.delete({
         owner,
         repo
       });
       return true;
+    });
+  }
+
+  async deleteRepository(owner, repo) {
+    try {
+      let backup = null;
+
+      // A failed backup aborts the delete, so nothing is destroyed without a local copy
+      if (this.backupBeforeDelete && !this.dryRun) {
+        backup = await this.backups.backupRepository(owner, repo);
+      }
+
+      await this.removeRepository(owner, repo);
+      return { name: repo, backup_path: backup ? backup.path : null };
     } catch (error) {
       throw new Error(`Failed to delete repository: ${error.message}`);
     }
   }
 
+  async renameRepository(owner, repo, newName) {
+    try {
+      const data = await this.updateRepository(owner, repo, { name: newName });
+      return { name: repo, new_name: data.name, html_url: data.html_url };
+    } catch (error) {
+      throw new Error(`Failed to rename repository: ${error.message}`);
+    }
+  }
+
+  async transferRepository(owner, repo, newOwner) {
+    try {
+      if (this.dryRun) {
+        await this.planner.planTransfer(owner, repo, newOwner);
+        return { name: repo, new_owner: newOwner, full_name: `${newOwner}/${repo}` };
+      }
+
+      return await this.recordMutation('transfer', owner, repo, async (entry) => {
+        entry.before = { owner };
+        const { data } = await this.octokit.repos.transfer({ owner, repo, new_owner: newOwner });
+        entry.after = { owner: data.owner?.login || newOwner };
+        return { name: repo, new_owner: entry.after.owner, full_name: data.full_name };
+      });
+    } catch (error) {
+      throw new Error(`Failed to transfer repository: ${error.message}`);
+    }
+  }
+
+  // The user or organization behind a login, or an error when there is none. Works for both,
+  // since users.getByUsername also answers for organizations
+  async getAccount(login) {
+    try {
+      const { data } = await this.octokit.users.getByUsername({ username: login, headers: { 'cache-control': 'no-cache' } });
+      return { login: data.login, type: data.type };
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error(`No user or organization named "${login}" exists`);
+      }
+      throw new Error(`Failed to look up ${login}: ${error.message}`);
+    }
+  }
+
+  // Used to detect name conflicts, so it never answers from the cache
+  async repositoryExists(owner, repo) {
+    try {
+      await this.getCurrentRepository(owner, repo);
+      return true;
+    } catch (error) {
+      if (error.status === 404) {
+        return false;
+      }
+      throw new Error(`Failed to check repository: ${error.message}`);
+    }
+  }
+
+  async createRepository(owner, settings) {
+    try {
+      if (this.dryRun) {
+        return await this.planner.planCreate(owner, settings);
+      }
+
+      const username = await this.getUsername();
+
+      return await this.recordMutation('create', owner, settings.name, async (entry) => {
+        const { data } = owner === username
+          ? await this.octokit.repos.createForAuthenticatedUser(settings)
+          : await this.octokit.repos.createInOrg({ org: owner, ...settings });
+
+        entry.after = mapRepository(data);
+        return entry.after;
+      });
+    } catch (error) {
+      throw new Error(`Failed to create repository: ${error.message}`);
+    }
+  }
+
+  async createRepositoryFromTemplate(template, owner, settings) {
+    const [templateOwner, templateRepo] = template.split('/');
+
+    if (!templateOwner || !templateRepo) {
+      throw new Error(`Template must be given as owner/repo, got "${template}"`);
+    }
+
+    try {
+      if (this.dryRun) {
+        return await this.planner.planCreate(owner, { ...settings, template });
+      }
+
+      return await this.recordMutation('create', owner, settings.name, async (entry) => {
+        const { data } = await this.octokit.repos.createUsingTemplate({
+          template_owner: templateOwner,
+          template_repo: templateRepo,
+          owner,
+          name: settings.name,
+          description: settings.description,
+          private: settings.private
+        });
+
+        entry.after = mapRepository(data);
+        return entry.after;
+      });
+    } catch (error) {
+      throw new Error(`Failed to create repository from template: ${error.message}`);
+    }
+  }
+
+  async listGitignoreTemplates() {
+    try {
+      const { data } = await this.octokit.gitignore.getAllTemplates();
+      return data;
+    } catch (error) {
+      throw new Error(`Failed to list .gitignore templates: ${error.message}`);
+    }
+  }
+
+  async listLicenses() {
+    try {
+      const { data } = await this.octokit.licenses.getAllCommonlyUsed();
+      return data.map(license => ({ key: license.key, name: license.name }));
+    } catch (error) {
+      throw new Error(`Failed to list licenses: ${error.message}`);
+    }
+  }
+
+  async replaceTopics(owner, repo, topics) {
+    try {
+      if (this.dryRun) {
+        await this.planner.planUpdate(owner, repo, { topics });
+        return topics;
+      }
+
+      return await this.recordMutation('topics', owner, repo, async (entry) => {
+        const current = await this.getCurrentRepository(owner, repo);
+        entry.before = { topics: current.topics || [] };
+
+        const { data } = await this.octokit.repos.replaceAllTopics({
+          owner,
+          repo,
+          names: topics
+        });
+        entry.after = { topics: data.names };
+        return data.names;
+      });
+    } catch (error) {
+      throw new Error(`Failed to update topics: ${error.message}`);
+    }
+  }
+
+  // Compared with the settings to apply, so it reads the current state
+  async getRepositorySettings(owner, repo) {
+    try {
+      const data = await this.getCurrentRepository(owner, repo);
+      return pickSettings(data);
+    } catch (error) {
+      throw new Error(`Failed to get repository settings: ${error.message}`);
+    }
+  }
+
+  // Unlike getRepositoryStats, a failed read is an error rather than "no commits", so a repository
+  // whose history couldn't be read never looks inactive. Only an empty repository has no last commit
+  async getLastCommit(owner, repo) {
+    try {
+      const { data } = await this.octokit.repos.listCommits({ owner, repo, per_page: 1 });
+      return data[0] || null;
+    } catch (error) {
+      if (error.status === 409) {
+        return null;
+      }
+      throw new Error(`Failed to get last commit: ${error.message}`);
+    }
+  }
+
+  async readLastCommits(owner, repos, options = {}) {
+    return executeBulk(repos, async (repo) => ({
+      name: repo.name,
+      last_commit: await this.getLastCommit(owner, repo.name)
+    }), { concurrency: this.concurrency, ...options });
+  }
+
+  async readRepositorySettings(owner, names, options = {}) {
+    return executeBulk(names.map(name => ({ name })), async (repo) => ({
+      name: repo.name,
+      settings: await this.getRepositorySettings(owner, repo.name)
+    }), { concurrency: this.concurrency, ...options });
+  }
+
+  async applyRepositorySettings(owner, repo, changes) {
+    try {
+      const { archived, topics, ...settings } = changes;
+
+      // Archived repositories are read-only: unarchive before anything else, archive after everything else
+      if (archived === false) {
+        await this.updateRepository(owner, repo, { archived: false });
+      }
+      if (Object.keys(settings).length > 0) {
+        await this.updateRepository(owner, repo, settings);
+      }
+      if (topics) {
+        await this.replaceTopics(owner, repo, topics);
+      }
+      if (archived === true) {
+        await this.updateRepository(owner, repo, { archived: true });
+      }
+
+      return { name: repo, changes };
+    } catch (error) {
+      throw new Error(`Failed to apply settings: ${error.message}`);
+    }
+  }
+
+  // Applies a topic change relative to the repository's current topics: set replaces them, then remove and add apply
+  async updateTopics(owner, repo, { add = [], remove = [], set = null }) {
+    let current;
+    try {
+      const { data } = await this.octokit.repos.getAllTopics({ owner, repo });
+      current = data.names;
+    } catch (error) {
+      throw new Error(`Failed to get topics: ${error.message}`);
+    }
+
+    const topics = [...new Set([...(set || current).filter(topic => !remove.includes(topic)), ...add])];
+
+    if (topics.length === current.length && topics.every(topic => current.includes(topic))) {
+      return { name: repo, topics, changed: false };
+    }
+
+    return { name: repo, topics: await this.replaceTopics(owner, repo, topics), changed: true };
+  }
+
+  // Compares a fork with its parent: how far its default branch is ahead/behind, and which of its
+  // branches carry commits the parent doesn't have
+  // Every read bypasses the cache, since a fork without unique work may be deleted on this basis
+  async getForkStatus(owner, repo) {
+    try {
+      const data = await this.getCurrentRepository(owner, repo);
+      const headers = { 'cache-control': 'no-cache' };
+
+      if (!data.fork || !data.parent) {
+        throw new Error(`${owner}/${repo} is not a fork`);
+      }
+
+      const parent = data.parent;
+      const compareWithParent = async (branch) => {
+        const { data: comparison } = await this.octokit.repos.compareCommitsWithBasehead({
+          owner: parent.owner.login,
+          repo: parent.name,
+          basehead: `${parent.default_branch}...${owner}:${branch}`,
+          per_page: 1,
+          headers
+        });
+        return comparison;
+      };
+
+      const [comparison, forkBranches, parentBranches] = await Promise.all([
+        compareWithParent(data.default_branch),
+        this.octokit.paginate(this.octokit.repos.listBranches, { owner, repo, per_page: 100, headers }),
+        this.octokit.paginate(this.octokit.repos.listBranches, { owner: parent.owner.login, repo: parent.name, per_page: 100, headers })
+      ]);
+
+      // Branches identical to the parent's branch of the same name can't hold unique work
+      const parentShas = new Map(parentBranches.map(branch => [branch.name, branch.commit.sha]));
+      const candidates = forkBranches.filter(branch => parentShas.get(branch.name) !== branch.commit.sha);
+      const uniqueBranches = [];
+
+      for (const branch of candidates) {
+        const branchComparison = branch.name === data.default_branch ? comparison : await compareWithParent(branch.name);
+        if (branchComparison.ahead_by > 0) {
+          uniqueBranches.push(branch.name);
+        }
+      }
+
+      return {
+        name: repo,
+        parent: parent.full_name,
+        default_branch: data.default_branch,
+        ahead_by: comparison.ahead_by,
+        behind_by: comparison.behind_by,
+        unique_branches: uniqueBranches,
+        has_unique_work: uniqueBranches.length > 0
+      };
+    } catch (error) {
+      throw new Error(`Failed to compare fork with its parent: ${error.message}`);
+    }
+  }
+
+  async readForkStatuses(owner, repos, options = {}) {
+    return executeBulk(repos, async (repo) => this.getForkStatus(owner, repo.name), {
+      concurrency: this.concurrency,
+      ...options
+    });
+  }
+
+  async syncFork(owner, repo) {
+    try {
+      const current = await this.getCurrentRepository(owner, repo);
+      const branch = current.default_branch;
+
+      if (this.dryRun) {
+        this.planner.record({
+          owner,
+          repo,
+          operation: 'sync',
+          fields: [{ field: branch, from: 'fork', to: `merged from ${current.parent?.full_name || 'upstream'}` }]
+        });
+        return { name: repo, branch, merge_type: null };
+      }
+
+      return await this.recordMutation('sync', owner, repo, async (entry) => {
+        entry.before = { branch };
+        const { data } = await this.octokit.repos.mergeUpstream({ owner, repo, branch });
+        entry.after = { branch, merge_type: data.merge_type };
+        return { name: repo, branch, merge_type: data.merge_type };
+      });
+    } catch (error) {
+      throw new Error(`Failed to sync fork: ${error.message}`);
+    }
+  }
+
+  async listHooks(owner, repo) {
+    try {
+      const hooks = await this.octokit.paginate(this.octokit.repos.listWebhooks, { owner, repo, per_page: 100 });
+      return hooks.map(hook => mapHook(repo, hook));
+    } catch (error) {
+      throw new Error(`Failed to list webhooks: ${error.message}`);
+    }
+  }
+
+  async readHooks(owner, repos, options = {}) {
+    return executeBulk(repos, async (repo) => ({
+      name: repo.name,
+      hooks: await this.listHooks(owner, repo.name)
+    }), { concurrency: this.concurrency, ...options });
+  }
+
+  async getHook(owner, repo, id) {
+    const { data } = await this.octokit.repos.getWebhook({ owner, repo, hook_id: id, headers: { 'cache-control': 'no-cache' } });
+    return mapHook(repo, data);
+  }
+
+  // Secrets are write-only: they are sent to GitHub but never written to the audit log or shown in plans
+  async createHook(owner, repo, { url, events = ['push'], secret, content_type: contentType = 'json', active = true }) {
+    try {
+      const after = { url, content_type: contentType, events, active };
+
+      if (this.dryRun) {
+        this.planner.record({
+          owner,
+          repo,
+          operation: 'create webhook',
+          fields: Object.entries(after).map(([field, to]) => ({ field, from: null, to }))
+        });
+        return { ...after, repo, id: null };
+      }
+
+      return await this.recordMutation('hook-create', owner, repo, async (entry) => {
+        const { data } = await this.octokit.repos.createWebhook({
+          owner,
+          repo,
+          config: { url, content_type: contentType, ...(secret ? { secret } : {}) },
+          events,
+          active
+        });
+        const hook = mapHook(repo, data);
+        entry.after = { id: hook.id, ...after };
+        return hook;
+      });
+    } catch (error) {
+      throw new Error(`Failed to create webhook: ${error.message}`);
+    }
+  }
+
+  // url, content_type and secret live in the hook's config, which has its own endpoint so the
+  // fields that aren't changed (the secret in particular) are kept
+  async updateHook(owner, repo, id, changes) {
+    try {
+      const { url, content_type: contentType, secret, ...settings } = changes;
+      const fields = Object.keys(changes).filter(field => field !== 'secret');
+      const before = await this.getHook(owner, repo, id);
+
+      if (this.dryRun) {
+        this.planner.record({
+          owner,
+          repo,
+          operation: `update webhook #${id}`,
+          fields: [
+            ...fields.map(field => ({ field, from: before[field], to: changes[field] })),
+            ...(secret ? [{ field: 'secret', from: '(hidden)', to: '(new secret)' }] : [])
+          ]
+        });
+        return { ...before, ...settings, ...(url ? { url } : {}), ...(contentType ? { content_type: contentType } : {}) };
+      }
+
+      return await this.recordMutation('hook-update', owner, repo, async (entry) => {
+        entry.before = { id, ...pick(before, fields), ...(secret ? { secret: '(hidden)' } : {}) };
+
+        if (url || contentType || secret) {
+          await this.octokit.repos.updateWebhookConfigForRepo({
+            owner,
+            repo,
+            hook_id: id,
+            ...(url ? { url } : {}),
+            ...(contentType ? { content_type: contentType } : {}),
+            ...(secret ? { secret } : {})
+          });
+        }
+        if (Object.keys(settings).length > 0) {
+          await this.octokit.repos.updateWebhook({ owner, repo, hook_id: id, ...settings });
+        }
+
+        const after = await this.getHook(owner, repo, id);
+        entry.after = { id, ...pick(after, fields), ...(secret ? { secret: '(changed)' } : {}) };
+        return after;
+      });
+    } catch (error) {
+      throw new Error(`Failed to update webhook: ${error.message}`);
+    }
+  }
+
+  async deleteHook(owner, repo, id) {
+    try {
+      const before = await this.getHook(owner, repo, id);
+
+      if (this.dryRun) {
+        this.planner.record({ owner, repo, operation: 'delete webhook', fields: [{ field: `#${id}`, from: before.url, to: 'DELETED' }] });
+        return { name: toHookItemName(repo, id), repo, id, url: before.url };
+      }
+
+      return await this.recordMutation('hook-delete', owner, repo, async (entry) => {
+        entry.before = pick(before, ['id', 'url', 'content_type', 'events', 'active']);
+        await this.octokit.repos.deleteWebhook({ owner, repo, hook_id: id });
+        return { name: toHookItemName(repo, id), repo, id, url: before.url };
+      });
+    } catch (error) {
+      throw new Error(`Failed to delete webhook: ${error.message}`);
+    }
+  }
+
+  // Sends a ping event to the hook's URL; the response shows up as the hook's last delivery
+  async pingHook(owner, repo, id) {
+    try {
+      const hook = await this.getHook(owner, repo, id);
+
+      if (this.dryRun) {
+        this.planner.record({ owner, repo, operation: `ping webhook #${id} (${hook.url})`, fields: [] });
+        return hook;
+      }
+
+      await this.octokit.repos.pingWebhook({ owner, repo, hook_id: id });
+      return hook;
+    } catch (error) {
+      throw new Error(`Failed to ping webhook: ${error.message}`);
+    }
+  }
+
+  // What changing visibility would expose or lose. Going public: files on the default branch that look
+  // like secrets, and private forks, which GitHub detaches. Going private: stars and watchers of people
+  // without access are removed, and public forks are detached
+  async checkVisibilityChange(owner, repo, isPrivate) {
+    try {
+      const data = await this.getCurrentRepository(owner, repo);
+      const findings = [];
+
+      if (data.private === isPrivate) {
+        return this.rememberVisibilityCheck(owner, { name: repo, private: isPrivate, findings });
+      }
+
+      if (!isPrivate) {
+        const [tree, forks] = await Promise.all([
+          this.octokit.git.getTree({ owner, repo, tree_sha: data.default_branch, recursive: 'true', headers: { 'cache-control': 'no-cache' } })
+            .then(response => response.data)
+            .catch(error => {
+              // An empty repository has no tree to scan
+              if (error.status === 409) return null;
+              throw error;
+            }),
+          this.octokit.paginate(this.octokit.repos.listForks, { owner, repo, per_page: 100, headers: { 'cache-control': 'no-cache' } })
+        ]);
+
+        const files = tree ? tree.tree.filter(entry => entry.type === 'blob') : [];
+        const sensitiveFiles = findSensitiveFiles(files.map(entry => entry.path));
+        if (sensitiveFiles.length > 0) {
+          findings.push({
+            type: 'sensitive-files',
+            message: `${sensitiveFiles.length} file${sensitiveFiles.length === 1 ? '' : 's'} on ${data.default_branch} may contain secrets`,
+            details: sensitiveFiles.map(file => `${file.path} (${file.reason})`)
+          });
+        }
+
+        // Files already flagged by name aren't downloaded again
+        const flaggedPaths = new Set(sensitiveFiles.map(file => file.path));
+        const textFiles = selectFilesToScan(files).filter(entry => !flaggedPaths.has(entry.path));
+        const secrets = await this.scanFilesForSecrets(owner, repo, textFiles.slice(0, MAX_SCANNED_FILES));
+        if (secrets.length > 0) {
+          findings.push({
+            type: 'secrets',
+            message: `${secrets.length} line${secrets.length === 1 ? '' : 's'} on ${data.default_branch} look${secrets.length === 1 ? 's' : ''} like credentials`,
+            details: secrets.map(secret => `${secret.path} (${secret.reason})`)
+          });
+        }
+
+        if (tree?.truncated || textFiles.length > MAX_SCANNED_FILES) {
+          findings.push({
+            type: 'scan-incomplete',
+            message: tree?.truncated
+              ? `${data.default_branch} has too many files to scan completely`
+              : `Only ${MAX_SCANNED_FILES} of ${textFiles.length} text files on ${data.default_branch} were scanned for credentials`,
+            details: []
+          });
+        }
+
+        const privateForks = forks.filter(fork => fork.private);
+        if (privateForks.length > 0) {
+          findings.push({
+            type: 'private-forks',
+            message: `${privateForks.length} private fork${privateForks.length === 1 ? '' : 's'} will be detached into ${privateForks.length === 1 ? 'its' : 'their'} own network`,
+            details: privateForks.map(fork => fork.full_name)
+          });
+        }
+      } else {
+        if (data.stargazers_count > 0 || data.subscribers_count > 0) {
+          findings.push({
+            type: 'stars',
+            message: `Stars (${data.stargazers_count}) and watchers (${data.subscribers_count || 0}) of people without access will be removed`,
+            details: []
+          });
+        }
+        if (data.forks_count > 0) {
+          findings.push({
+            type: 'public-forks',
+            message: data.forks_count === 1 ? '1 fork stays public and is detached' : `${data.forks_count} forks stay public and are detached`,
+            details: []
+          });
+        }
+      }
+
+      return this.rememberVisibilityCheck(owner, { name: repo, private: isPrivate, findings });
+    } catch (error) {
+      throw new Error(`Failed to run pre-flight checks: ${error.message}`);
+    }
+  }
+
+  rememberVisibilityCheck(owner, check) {
+    this.visibilityChecks.set(`${owner}/${check.name}:${check.private}`, check);
+    return check;
+  }
+
+  // One file at a time: the checks of several repositories already run in parallel.
+  // Contents are fetched with no-store so they never end up in the response cache
+  async scanFilesForSecrets(owner, repo, files) {
+    const secrets = [];
+
+    for (const file of files) {
+      const { data } = await this.octokit.git.getBlob({ owner, repo, file_sha: file.sha, headers: { 'cache-control': 'no-store' } });
+      const content = Buffer.from(data.content, data.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+      secrets.push(...findSecretsInContent(file.path, content));
+    }
+
+    return secrets;
+  }
+
+  async readVisibilityChecks(owner, repos, isPrivate, options = {}) {
+    return executeBulk(repos, async (repo) => this.checkVisibilityChange(owner, repo.name, isPrivate), {
+      concurrency: this.concurrency,
+      ...options
+    });
+  }
+
+  // Who can access a repository: direct collaborators, pending invitations and, for organizations, teams.
+  // options.current bypasses the cache for reads right before a change
+  async getRepositoryAccess(owner, repo, options = {}) {
+    try {
+      const isOrganization = Boolean(this.org);
+      const headers = options.current ? { 'cache-control': 'no-cache' } : {};
+      const list = (method, params = {}) => this.octokit.paginate(method, { owner, repo, per_page: 100, headers, ...params });
+
+      const [collaborators, outside, invitations, teams] = await Promise.all([
+        list(this.octokit.repos.listCollaborators, { affiliation: 'direct' }),
+        isOrganization ? list(this.octokit.repos.listCollaborators, { affiliation: 'outside' }) : null,
+        list(this.octokit.repos.listInvitations),
+        isOrganization ? list(this.octokit.repos.listTeams) : []
+      ]);
+
+      // A personal account has no members, so everyone but the owner is from outside
+      const outsideLogins = outside ? new Set(outside.map(user => user.login)) : null;
+
+      return {
+        name: repo,
+        collaborators: collaborators
+          .filter(user => user.login.toLowerCase() !== owner.toLowerCase())
+          .map(user => ({
+            login: user.login,
+            permission: normalizePermission(user.role_name),
+            outside: outsideLogins ? outsideLogins.has(user.login) : true
+          })),
+        invitations: invitations.map(invitation => ({
+          id: invitation.id,
+          login: invitation.invitee?.login || invitation.email,
+          permission: normalizePermission(invitation.permissions),
+          created_at: invitation.created_at
+        })),
+        teams: teams.map(team => ({
+          slug: team.slug,
+          name: team.name,
+          permission: normalizePermission(team.role_name || team.permission)
+        }))
+      };
+    } catch (error) {
+      throw new Error(`Failed to get repository access: ${error.message}`);
+    }
+  }
+
+  async readRepositoryAccess(owner, repos, options = {}) {
+    return executeBulk(repos, async (repo) => this.getRepositoryAccess(owner, repo.name), {
+      concurrency: this.concurrency,
+      ...options
+    });
+  }
+
+  // Adds a user or team, or changes the permission they already have. Users who aren't
+  // collaborators yet get an invitation they have to accept
+  async grantAccess(owner, repo, grantee, permission) {
+    try {
+      const before = findGrant(await this.getRepositoryAccess(owner, repo, { current: true }), grantee);
+
+      if (this.dryRun) {
+        this.planner.record({
+          owner,
+          repo,
+          operation: 'access',
+          fields: [{ field: grantee.label, from: before ? before.permission : 'no access', to: permission }]
+        });
+        return { name: repo, grantee: grantee.label, permission, invited: false };
+      }
+
+      return await this.recordMutation('access', owner, repo, async (entry) => {
+        entry.before = { grantee: grantee.label, permission: before ? before.permission : null };
+        let invited = false;
+
+        if (grantee.type === 'team') {
+          await this.octokit.teams.addOrUpdateRepoPermissionsInOrg({
+            org: owner,
+            team_slug: grantee.name,
+            owner,
+            repo,
+            permission: toApiPermission(permission)
+          });
+        } else {
+          // 201 creates (or updates) an invitation, 204 changes an existing collaborator
+          const response = await this.octokit.repos.addCollaborator({
+            owner,
+            repo,
+            username: grantee.name,
+            permission: toApiPermission(permission)
+          });
+          invited = response.status === 201;
+        }
+
+        entry.after = { grantee: grantee.label, permission, invited };
+        return { name: repo, grantee: grantee.label, permission, invited };
+      });
+    } catch (error) {
+      throw new Error(`Failed to grant access: ${error.message}`);
+    }
+  }
+
+  // Removes a team, a collaborator, or a user's pending invitation
+  async revokeAccess(owner, repo, grantee) {
+    try {
+      const before = findGrant(await this.getRepositoryAccess(owner, repo, { current: true }), grantee);
+
+      if (!before) {
+        throw new Error(`${grantee.label} has no access to ${owner}/${repo}`);
+      }
+
+      if (this.dryRun) {
+        this.planner.record({
+          owner,
+          repo,
+          operation: 'access',
+          fields: [{ field: grantee.label, from: before.permission, to: 'no access' }]
+        });
+        return { name: repo, grantee: grantee.label, permission: null };
+      }
+
+      return await this.recordMutation('access', owner, repo, async (entry) => {
+        entry.before = { grantee: grantee.label, permission: before.permission, invited: before.kind === 'invitation' };
+
+        if (before.kind === 'team') {
+          await this.octokit.teams.removeRepoInOrg({ org: owner, team_slug: grantee.name, owner, repo });
+        } else if (before.kind === 'invitation') {
+          await this.octokit.repos.deleteInvitation({ owner, repo, invitation_id: before.id });
+        } else {
+          await this.octokit.repos.removeCollaborator({ owner, repo, username: grantee.name });
+        }
+
+        entry.after = { grantee: grantee.label, permission: null };
+        return { name: repo, grantee: grantee.label, permission: null };
+      });
+    } catch (error) {
+      throw new Error(`Failed to revoke access: ${error.message}`);
+    }
+  }
+
+  // Every branch with its last commit and how it compares with the default branch.
+  // options.concurrency limits the branches compared at once (default: --concurrency), options.current
+  // bypasses the cache for reads a cleanup decides on
+  async getBranches(owner, repo, options = {}) {
+    try {
+      const headers = options.current ? { 'cache-control': 'no-cache' } : {};
+      const { data: repository } = await this.octokit.repos.get({ owner, repo, headers });
+      const defaultBranch = repository.default_branch;
+      const branches = await this.octokit.paginate(this.octokit.repos.listBranches, { owner, repo, per_page: 100, headers });
+
+      const { results, errors } = await executeBulk(branches, async (branch) => {
+        const isDefault = branch.name === defaultBranch;
+        // Compared by sha, so the result describes exactly the commit that was listed
+        const [{ data: commit }, comparison] = await Promise.all([
+          this.octokit.git.getCommit({ owner, repo, commit_sha: branch.commit.sha }),
+          isDefault ? null : this.octokit.repos.compareCommitsWithBasehead({
+            owner,
+            repo,
+            basehead: `${defaultBranch}...${branch.commit.sha}`,
+            per_page: 1,
+            headers
+          }).then(response => response.data)
+        ]);
+
+        return {
+          repo,
+          name: branch.name,
+          default: isDefault,
+          protected: branch.protected,
+          sha: branch.commit.sha,
+          last_commit_date: commit.committer.date,
+          author: commit.author.name,
+          ahead_by: comparison ? comparison.ahead_by : 0,
+          behind_by: comparison ? comparison.behind_by : 0,
+          // Every commit of the branch is already on the default branch
+          merged: isDefault ? null : comparison.ahead_by === 0
+        };
+      }, { concurrency: options.concurrency || this.concurrency });
+
+      if (errors.length > 0) {
+        throw new Error(`${errors[0].name}: ${errors[0].error}`);
+      }
+      return results;
+    } catch (error) {
+      throw new Error(`Failed to list branches: ${error.message}`);
+    }
+  }
+
+  // Repositories are read in parallel and the branches of each one in turn, so --concurrency still
+  // caps the requests in flight
+  async readBranches(owner, repos, options = {}) {
+    return executeBulk(repos, async (repo) => ({
+      name: repo.name,
+      branches: await this.getBranches(owner, repo.name, { concurrency: 1, current: true })
+    }), { concurrency: this.concurrency, ...options });
+  }
+
+  // sha is the commit the branch pointed to when it was judged merged or stale. A branch that has
+  // moved since then is left alone, so commits pushed in between are never deleted with it
+  async deleteBranch(owner, repo, branch, sha) {
+    try {
+      if (this.dryRun) {
+        this.planner.record({ owner, repo, operation: 'delete branch', fields: [{ field: branch, from: 'exists', to: 'DELETED' }] });
+        return { name: toBranchItemName(repo, branch), repo, branch, sha: null };
+      }
+
+      return await this.recordMutation('delete-branch', owner, repo, async (entry) => {
+        // The sha in the audit log is enough to recreate the branch later
+        const { data } = await this.octokit.git.getRef({ owner, repo, ref: `heads/${branch}`, headers: { 'cache-control': 'no-cache' } });
+        entry.before = { branch, sha: data.object.sha };
+
+        if (sha && data.object.sha !== sha) {
+          throw new Error(`branch moved since it was checked (${sha.slice(0, 7)} → ${data.object.sha.slice(0, 7)}); check it again before deleting`);
+        }
+
+        await this.octokit.git.deleteRef({ owner, repo, ref: `heads/${branch}` });
+        return { name: toBranchItemName(repo, branch), repo, branch, sha: data.object.sha };
+      });
+    } catch (error) {
+      throw new Error(`Failed to delete branch: ${error.message}`);
+    }
+  }
+
+  // Returns null for an unprotected branch. options.current bypasses the cache for reads right before a change
+  async getBranchProtection(owner, repo, branch, options = {}) {
+    try {
+      const { data } = await this.octokit.repos.getBranchProtection({
+        owner,
+        repo,
+        branch,
+        ...(options.current ? { headers: { 'cache-control': 'no-cache' } } : {})
+      });
+      return summarizeProtection(data);
+    } catch (error) {
+      // The same 404 also means a missing branch (empty repository), which must not pass as unprotected
+      if (error.status === 404 && /not protected/i.test(error.message)) {
+        return null;
+      }
+      throw new Error(`Failed to get branch protection: ${error.message}`);
+    }
+  }
+
+  async getDefaultBranchProtection(owner, repo) {
+    const protection = await this.getBranchProtection(owner, repo.name, repo.default_branch);
+
+    return {
+      name: repo.name,
+      default_branch: repo.default_branch,
+      protected: protection !== null,
+      ...(protection || Object.fromEntries(Object.keys(PROTECTION_RULES).map(rule => [rule, null])))
+    };
+  }
+
+  async readBranchProtections(owner, repos, options = {}) {
+    return executeBulk(repos, async (repo) => this.getDefaultBranchProtection(owner, repo), {
+      concurrency: this.concurrency,
+      ...options
+    });
+  }
+
+  // Replaces the protection of the default branch with the rules of a profile
+  async protectDefaultBranch(owner, repo, profile) {
+    try {
+      const current = await this.getCurrentRepository(owner, repo);
+      const branch = current.default_branch;
+      const before = await this.getBranchProtection(owner, repo, branch, { current: true });
+
+      if (this.dryRun) {
+        this.planner.record({
+          owner,
+          repo,
+          operation: `protect ${branch} (${profile.name})`,
+          fields: diffProtection(before, profile.rules)
+        });
+        return { name: repo, branch, profile: profile.name };
+      }
+
+      return await this.recordMutation('protection', owner, repo, async (entry) => {
+        entry.before = { branch, protection: before };
+        const { data } = await this.octokit.repos.updateBranchProtection({
+          owner,
+          repo,
+          branch,
+          ...toProtectionRequest(profile.rules)
+        });
+        entry.after = { branch, protection: summarizeProtection(data) };
+        return { name: repo, branch, profile: profile.name };
+      });
+    } catch (error) {
+      throw new Error(`Failed to protect default branch: ${error.message}`);
+    }
+  }
+
   async getRepositoryStats(owner, repo) {
     try {
       const [contributors, languages, commits] = await Promise.all([
@@ -196,11 +1278,7 @@ class GitHubClient {
 
   async updateRepositoryVisibility(owner, repo, isPrivate) {
     try {
-      const { data } = await this.octokit.repos.update({
-        owner,
-        repo,
-        private: isPrivate
-      });
+      const data = await this.updateRepository(owner, repo, { private: isPrivate });
 
       return {
         id: data.id,
@@ -216,11 +1294,7 @@ class GitHubClient {
 
   async archiveRepository(owner, repo) {
     try {
-      const { data } = await this.octokit.repos.update({
-        owner,
-        repo,
-        archived: true
-      });
+      const data = await this.updateRepository(owner, repo, { archived: true });
 
       return {
         id: data.id,
@@ -236,11 +1310,7 @@ class GitHubClient {
 
   async unarchiveRepository(owner, repo) {
     try {
-      const { data } = await this.octokit.repos.update({
-        owner,
-        repo,
-        archived: false
-      });
+      const data = await this.updateRepository(owner, repo, { archived: false });
 
       return {
         id: data.id,
@@ -254,68 +1324,100 @@ class GitHubClient {
     }
   }
 
-  async bulkUpdateVisibility(owner, repos, isPrivate) {
-    const results = [];
-    const errors = [];
+  async bulkUpdateVisibility(owner, repos, isPrivate, options = {}) {
+    return executeBulk(repos, async (repo) => {
+      const result = await this.updateRepositoryVisibility(owner, repo.name, isPrivate);
+      return { ...result, success: true };
+    }, { concurrency: this.concurrency, ...options });
+  }
 
-    for (const repo of repos) {
-      try {
-        const result = await this.updateRepositoryVisibility(owner, repo.name, isPrivate);
-        results.push({ ...result, success: true });
-      } catch (error) {
-        errors.push({ name: repo.name, error: error.message });
-      }
-    }
+  async bulkArchiveRepositories(owner, repos, options = {}) {
+    return executeBulk(repos, async (repo) => {
+      const result = await this.archiveRepository(owner, repo.name);
+      return { ...result, success: true };
+    }, { concurrency: this.concurrency, ...options });
+  }
 
-    return { results, errors };
+  async bulkUnarchiveRepositories(owner, repos, options = {}) {
+    return executeBulk(repos, async (repo) => {
+      const result = await this.unarchiveRepository(owner, repo.name);
+      return { ...result, success: true };
+    }, { concurrency: this.concurrency, ...options });
   }
 
-  async bulkArchiveRepositories(owner, repos) {
-    const results = [];
-    const errors = [];
+  async bulkUpdateTopics(owner, repos, change, options = {}) {
+    return executeBulk(repos, async (repo) => {
+      const result = await this.updateTopics(owner, repo.name, change);
+      return { ...result, success: true };
+    }, { concurrency: this.concurrency, ...options });
+  }
 
-    for (const repo of repos) {
-      try {
-        const result = await this.archiveRepository(owner, repo.name);
-        results.push({ ...result, success: true });
-      } catch (error) {
-        errors.push({ name: repo.name, error: error.message });
-      }
-    }
+  async bulkApplySettings(owner, items, options = {}) {
+    return executeBulk(items, async (item) => {
+      const result = await this.applyRepositorySettings(owner, item.name, item.changes);
+      return { ...result, success: true };
+    }, { concurrency: this.concurrency, ...options });
+  }
 
-    return { results, errors };
+  async bulkTransferRepositories(owner, repos, newOwner, options = {}) {
+    return executeBulk(repos, async (repo) => {
+      const result = await this.transferRepository(owner, repo.name, newOwner);
+      return { ...result, success: true };
+    }, { concurrency: this.concurrency, ...options });
   }
 
-  async bulkUnarchiveRepositories(owner, repos) {
-    const results = [];
-    const errors = [];
+  async bulkSyncForks(owner, repos, options = {}) {
+    return executeBulk(repos, async (repo) => {
+      const result = await this.syncFork(owner, repo.name);
+      return { ...result, success: true };
+    }, { concurrency: this.concurrency, ...options });
+  }
 
-    for (const repo of repos) {
-      try {
-        const result = await this.unarchiveRepository(owner, repo.name);
-        results.push({ ...result, success: true });
-      } catch (error) {
-        errors.push({ name: repo.name, error: error.message });
-      }
-    }
+  async bulkProtectDefaultBranches(owner, repos, profile, options = {}) {
+    return executeBulk(repos, async (repo) => {
+      const result = await this.protectDefaultBranch(owner, repo.name, profile);
+      return { ...result, success: true };
+    }, { concurrency: this.concurrency, ...options });
+  }
 
-    return { results, errors };
+  // Items are named "repo:branch", see toBranchItemName
+  // shas maps item names to the commit each branch was checked at
+  async bulkDeleteBranches(owner, items, shas = {}, options = {}) {
+    return executeBulk(items, async (item) => {
+      const { repo, branch } = parseBranchItemName(item.name);
+      const result = await this.deleteBranch(owner, repo, branch, shas[item.name]);
+      return { ...result, success: true };
+    }, { concurrency: this.concurrency, ...options });
   }
 
-  async bulkDeleteRepositories(owner, repos) {
-    const results = [];
-    const errors = [];
+  // Items are named "repo:id", see toHookItemName
+  async bulkDeleteHooks(owner, items, options = {}) {
+    return executeBulk(items, async (item) => {
+      const { repo, id } = parseHookItemName(item.name);
+      const result = await this.deleteHook(owner, repo, id);
+      return { ...result, success: true };
+    }, { concurrency: this.concurrency, ...options });
+  }
 
-    for (const repo of repos) {
-      try {
-        await this.deleteRepository(owner, repo.name);
-        results.push({ name: repo.name, success: true });
-      } catch (error) {
-        errors.push({ name: repo.name, error: error.message });
+  // Each fork is compared with its parent again right before it is deleted, so work pushed since
+  // the review keeps it alive
+  async bulkDeleteForks(owner, repos, options = {}) {
+    return executeBulk(repos, async (repo) => {
+      const status = await this.getForkStatus(owner, repo.name);
+      if (status.has_unique_work) {
+        throw new Error(`Not deleted: the fork gained unique work on ${status.unique_branches.join(', ')} since it was checked`);
       }
-    }
 
-    return { results, errors };
+      const result = await this.deleteRepository(owner, repo.name);
+      return { ...result, success: true };
+    }, { concurrency: this.concurrency, ...options });
+  }
+
+  async bulkDeleteRepositories(owner, repos, options = {}) {
+    return executeBulk(repos, async (repo) => {
+      const result = await this.deleteRepository(owner, repo.name);
+      return { ...result, success: true };
+    }, { concurrency: this.concurrency, ...options });
   }
 }
 
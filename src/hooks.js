@@ -0,0 +1,85 @@
+export const HOOK_CONTENT_TYPES = ['json', 'form'];
+
+// Flattens a webhook from the API. last_response only describes the most recent delivery
+export const mapHook = (repo, hook) => ({
+  repo,
+  id: hook.id,
+  url: hook.config?.url || null,
+  content_type: hook.config?.content_type || null,
+  events: hook.events || [],
+  active: hook.active,
+  last_status: hook.last_response?.status ?? null,
+  last_code: hook.last_response?.code ?? null,
+  last_message: hook.last_response?.message ?? null,
+  created_at: hook.created_at,
+  updated_at: hook.updated_at
+});
+
+// Bulk jobs are journaled by item name, so a hook to delete is named "repo:id"
+export const toHookItemName = (repo, id) => `${repo}:${id}`;
+
+export const parseHookItemName = (name) => {
+  const separator = name.lastIndexOf(':');
+  return { repo: name.slice(0, separator), id: Number(name.slice(separator + 1)) };
+};
+
+export const describeDelivery = (hook) => {
+  if (hook.last_status === 'unused') return 'never delivered';
+  if (hook.last_code) return `${hook.last_code} ${hook.last_message || ''}`.trim();
+  return hook.last_message || hook.last_status || 'unknown';
+};
+
+// A hook that has delivered at least once and didn't get a 2xx back the last time
+export const isFailingHook = (hook) => hook.last_status !== 'unused'
+  && (hook.last_code === null || hook.last_code < 200 || hook.last_code >= 300);
+
+const normalizeUrl = (url) => (url || '').trim().replace(/\/+$/, '').toLowerCase();
+
+// Why each hook of a repository should go, keyed by hook id: failing hooks, and every copy of a
+// URL but one. The copy that is kept is the working, active one, or the oldest
+export const findHookProblems = (hooks) => {
+  const problems = new Map();
+
+  hooks.filter(isFailingHook).forEach(hook => problems.set(hook.id, [`failing: ${describeDelivery(hook)}`]));
+
+  const byUrl = new Map();
+  hooks.forEach(hook => byUrl.set(normalizeUrl(hook.url), [...(byUrl.get(normalizeUrl(hook.url)) || []), hook]));
+
+  [...byUrl.values()].filter(group => group.length > 1).forEach(group => {
+    const [kept, ...duplicates] = [...group].sort((a, b) => isFailingHook(a) - isFailingHook(b) || b.active - a.active || a.id - b.id);
+    duplicates.forEach(hook => problems.set(hook.id, [...(problems.get(hook.id) || []), `duplicate of #${kept.id}`]));
+  });
+
+  return problems;
+};
+
+export const parseEvents = (input) => {
+  const events = [...new Set(String(input || '').split(',').map(event => event.trim().toLowerCase()).filter(Boolean))];
+
+  const invalid = events.filter(event => !/^(\*|[a-z_]+)$/.test(event));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid event${invalid.length === 1 ? '' : 's'}: ${invalid.join(', ')}. Use event names like push,pull_request or *`);
+  }
+  return events;
+};
+
+export const validateHookSettings = (settings) => {
+  if (settings.url !== undefined) {
+    let url;
+    try {
+      url = new URL(settings.url);
+    } catch {
+      throw new Error(`Invalid webhook URL "${settings.url}"`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error('Webhook URLs must start with http:// or https://');
+    }
+  }
+  if (settings.events !== undefined && settings.events.length === 0) {
+    throw new Error('A webhook needs at least one event');
+  }
+  if (settings.content_type !== undefined && !HOOK_CONTENT_TYPES.includes(settings.content_type)) {
+    throw new Error(`Invalid content type "${settings.content_type}". Use ${HOOK_CONTENT_TYPES.join(' or ')}`);
+  }
+  return settings;
+};
@@ -0,0 +1,139 @@
+import fs from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { getDataDirectory } from './utils.js';
+
+const createJobId = () => {
+  const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${timestamp}-${randomBytes(2).toString('hex')}`;
+};
+
+const isProcessAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// One JSON file per bulk run, rewritten after every repository so an interrupted
+// run (Ctrl+C, network drop) still records exactly what was processed
+class JobJournal {
+  constructor(directory = path.join(getDataDirectory(), 'jobs')) {
+    this.directory = directory;
+  }
+
+  getJobPath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  save(job) {
+    job.updated_at = new Date().toISOString();
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    // Write then rename so a crash mid-write never leaves a truncated journal. The temporary file is
+    // named per process, so a job resumed elsewhere can't interleave its writes with this one
+    const jobPath = this.getJobPath(job.id);
+    const tempPath = `${jobPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(job, null, 2));
+    fs.renameSync(tempPath, jobPath);
+  }
+
+  createJob(operation, owner, target, repos) {
+    const job = {
+      id: createJobId(),
+      operation,
+      owner,
+      target,
+      created_at: new Date().toISOString(),
+      updated_at: null,
+      finished_at: null,
+      pid: process.pid,
+      repos: repos.map(repo => ({ name: repo.name, status: 'pending', error: null }))
+    };
+
+    this.save(job);
+    return job;
+  }
+
+  load(id) {
+    const jobPath = this.getJobPath(id);
+
+    if (!fs.existsSync(jobPath)) {
+      throw new Error(`Job "${id}" not found in ${this.directory}`);
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(jobPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read job "${id}": ${error.message}`);
+    }
+  }
+
+  list() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    // Skip journals that can't be read (truncated by a full disk, edited by hand) instead of failing every job
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        try {
+          const job = this.load(path.basename(file, '.json'));
+          return Array.isArray(job.repos) && typeof job.created_at === 'string' ? job : null;
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  start(job, repoNames) {
+    job.pid = process.pid;
+    job.finished_at = null;
+    job.repos
+      .filter(entry => repoNames.includes(entry.name))
+      .forEach(entry => {
+        entry.status = 'pending';
+        entry.error = null;
+      });
+    this.save(job);
+  }
+
+  recordOutcome(job, name, error) {
+    const entry = job.repos.find(repo => repo.name === name);
+
+    if (entry) {
+      entry.status = error ? 'failed' : 'succeeded';
+      entry.error = error ? error.error : null;
+      this.save(job);
+    }
+  }
+
+  finish(job) {
+    job.finished_at = new Date().toISOString();
+    this.save(job);
+  }
+
+  getStatus(job) {
+    const failed = job.repos.some(repo => repo.status === 'failed');
+
+    if (job.finished_at) {
+      return failed ? 'completed with errors' : 'completed';
+    }
+
+    return job.pid !== process.pid && isProcessAlive(job.pid) ? 'running' : 'interrupted';
+  }
+
+  countByStatus(job) {
+    return job.repos.reduce((counts, repo) => {
+      counts[repo.status] = (counts[repo.status] || 0) + 1;
+      return counts;
+    }, { pending: 0, succeeded: 0, failed: 0 });
+  }
+}
+
+export default JobJournal;
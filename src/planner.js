@@ -0,0 +1,117 @@
+import chalk from 'chalk';
+import { displayMessage } from './utils.js';
+
+export const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return chalk.gray('(none)');
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : chalk.gray('(none)');
+  return String(value);
+};
+
+// Stands in for mutating API calls when --dry-run is given: reads the current state,
+// prints what would change and hands back a synthetic response instead of calling GitHub
+class DryRunPlanner {
+  constructor(octokit) {
+    this.octokit = octokit;
+    this.changes = [];
+    // Repositories "created" during this dry run, so follow-up changes to them can be planned too
+    this.created = new Map();
+  }
+
+  async getCurrentState(owner, repo) {
+    if (this.created.has(`${owner}/${repo}`)) {
+      return this.created.get(`${owner}/${repo}`);
+    }
+
+    try {
+      // What a change would start from, so never an answer from the response cache
+      const { data } = await this.octokit.repos.get({ owner, repo, headers: { 'cache-control': 'no-cache' } });
+      return data;
+    } catch (error) {
+      throw new Error(`Failed to read current state of ${owner}/${repo}: ${error.message}`);
+    }
+  }
+
+  record(change) {
+    this.changes.push(change);
+
+    displayMessage(chalk.magenta(`🧪 [dry run] ${change.operation} ${chalk.cyan(`${change.owner}/${change.repo}`)}`));
+    change.fields.forEach(({ field, from, to }) => {
+      displayMessage(`     ${field}: ${formatValue(from)} → ${chalk.bold(formatValue(to))}`);
+    });
+  }
+
+  async planUpdate(owner, repo, changes) {
+    const current = await this.getCurrentState(owner, repo);
+
+    this.record({
+      owner,
+      repo,
+      operation: 'update',
+      fields: Object.entries(changes).map(([field, to]) => ({ field, from: current[field], to }))
+    });
+
+    return { ...current, ...changes };
+  }
+
+  async planCreate(owner, settings) {
+    const now = new Date().toISOString();
+    const repository = {
+      id: null,
+      name: settings.name,
+      full_name: `${owner}/${settings.name}`,
+      description: settings.description || null,
+      private: Boolean(settings.private),
+      fork: false,
+      language: null,
+      stargazers_count: 0,
+      forks_count: 0,
+      updated_at: now,
+      created_at: now,
+      html_url: `https://github.com/${owner}/${settings.name}`,
+      clone_url: `https://github.com/${owner}/${settings.name}.git`,
+      archived: false,
+      default_branch: 'main',
+      size: 0,
+      open_issues_count: 0,
+      topics: []
+    };
+
+    this.created.set(repository.full_name, repository);
+    this.record({
+      owner,
+      repo: settings.name,
+      operation: 'create',
+      fields: Object.entries(settings).map(([field, to]) => ({ field, from: null, to }))
+    });
+
+    return repository;
+  }
+
+  async planTransfer(owner, repo, newOwner) {
+    const current = await this.getCurrentState(owner, repo);
+
+    this.record({
+      owner,
+      repo,
+      operation: 'transfer',
+      fields: [{ field: 'owner', from: current.owner?.login || owner, to: newOwner }]
+    });
+
+    return true;
+  }
+
+  async planDelete(owner, repo) {
+    const current = await this.getCurrentState(owner, repo);
+
+    this.record({
+      owner,
+      repo,
+      operation: 'delete',
+      fields: [{ field: 'repository', from: current.full_name, to: 'deleted' }]
+    });
+
+    return true;
+  }
+}
+
+export default DryRunPlanner;
@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+import { parse as parseYaml } from 'yaml';
+import { getDataDirectory } from './utils.js';
+
+// The rules a profile can set, with the value each has when a profile leaves it out.
+// required_reviews: null means pull requests aren't required; required_status_checks: null means no checks
+export const PROTECTION_RULES = {
+  required_reviews: null,
+  dismiss_stale_reviews: false,
+  require_code_owner_reviews: false,
+  required_status_checks: null,
+  strict_status_checks: false,
+  enforce_admins: false,
+  allow_force_pushes: false,
+  allow_deletions: false,
+  required_linear_history: false
+};
+
+export const PROTECTION_PROFILES = {
+  basic: {
+    description: 'Block force pushes and deletion of the default branch',
+    rules: {}
+  },
+  standard: {
+    description: 'Pull requests with 1 approving review, stale approvals dismissed',
+    rules: { required_reviews: 1, dismiss_stale_reviews: true }
+  },
+  strict: {
+    description: '2 reviews incl. code owners, up-to-date branches, linear history, admins included',
+    rules: {
+      required_reviews: 2,
+      dismiss_stale_reviews: true,
+      require_code_owner_reviews: true,
+      required_status_checks: [],
+      strict_status_checks: true,
+      enforce_admins: true,
+      required_linear_history: true
+    }
+  }
+};
+
+export const getProfilesPath = () => process.env.GITHUB_PROTECTION_PROFILES
+  || path.join(getDataDirectory(), 'protection-profiles.yaml');
+
+const validateRules = (rules, context) => {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error(`${context} must be a map of protection rules`);
+  }
+
+  Object.entries(rules).forEach(([rule, value]) => {
+    if (!(rule in PROTECTION_RULES)) {
+      throw new Error(`Unknown rule "${rule}" in ${context}. Available rules: ${Object.keys(PROTECTION_RULES).join(', ')}`);
+    }
+
+    if (rule === 'required_reviews') {
+      if (value !== null && (!Number.isInteger(value) || value < 0 || value > 6)) {
+        throw new Error(`${context}.${rule} must be a number from 0 to 6, or null`);
+      }
+    } else if (rule === 'required_status_checks') {
+      if (value !== null && (!Array.isArray(value) || value.some(check => typeof check !== 'string'))) {
+        throw new Error(`${context}.${rule} must be a list of check names, or null`);
+      }
+    } else if (typeof value !== 'boolean') {
+      throw new Error(`${context}.${rule} must be true or false`);
+    }
+  });
+
+  return { ...PROTECTION_RULES, ...rules };
+};
+
+// Built-in profiles plus the ones defined in the profiles file, which may also override built-ins:
+//
+//   release:
+//     description: Reviews and CI for release branches
+//     required_reviews: 2
+//     required_status_checks: [build, test]
+export const loadProtectionProfiles = (filePath = getProfilesPath()) => {
+  const profiles = Object.fromEntries(Object.entries(PROTECTION_PROFILES).map(([name, profile]) => [
+    name,
+    { name, description: profile.description, rules: validateRules(profile.rules, name) }
+  ]));
+
+  if (!fs.existsSync(filePath)) {
+    return profiles;
+  }
+
+  let document;
+  try {
+    document = parseYaml(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+  }
+
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error(`${filePath} must contain a map of profiles`);
+  }
+
+  Object.entries(document).forEach(([name, profile]) => {
+    const { description = '', ...rules } = profile || {};
+    profiles[name] = { name, description, rules: validateRules(rules, `${filePath}: ${name}`) };
+  });
+
+  return profiles;
+};
+
+export const getProtectionProfile = (name, filePath) => {
+  const profiles = loadProtectionProfiles(filePath);
+
+  if (!profiles[name]) {
+    throw new Error(`Unknown protection profile "${name}". Available profiles: ${Object.keys(profiles).join(', ')}`);
+  }
+  return profiles[name];
+};
+
+// Flattens the branch protection API response into the same shape as profile rules
+export const summarizeProtection = (data) => {
+  const reviews = data.required_pull_request_reviews;
+  const checks = data.required_status_checks;
+
+  return {
+    required_reviews: reviews ? reviews.required_approving_review_count ?? 0 : null,
+    dismiss_stale_reviews: Boolean(reviews?.dismiss_stale_reviews),
+    require_code_owner_reviews: Boolean(reviews?.require_code_owner_reviews),
+    required_status_checks: checks ? checks.contexts || [] : null,
+    strict_status_checks: Boolean(checks?.strict),
+    enforce_admins: Boolean(data.enforce_admins?.enabled),
+    allow_force_pushes: Boolean(data.allow_force_pushes?.enabled),
+    allow_deletions: Boolean(data.allow_deletions?.enabled),
+    required_linear_history: Boolean(data.required_linear_history?.enabled)
+  };
+};
+
+// The body for repos.updateBranchProtection. It replaces the branch's protection as a whole,
+// so push restrictions are cleared as well
+export const toProtectionRequest = (rules) => ({
+  required_status_checks: rules.required_status_checks === null
+    ? null
+    : { strict: rules.strict_status_checks, contexts: rules.required_status_checks },
+  enforce_admins: rules.enforce_admins,
+  required_pull_request_reviews: rules.required_reviews === null
+    ? null
+    : {
+      required_approving_review_count: rules.required_reviews,
+      dismiss_stale_reviews: rules.dismiss_stale_reviews,
+      require_code_owner_reviews: rules.require_code_owner_reviews
+    },
+  restrictions: null,
+  allow_force_pushes: rules.allow_force_pushes,
+  allow_deletions: rules.allow_deletions,
+  required_linear_history: rules.required_linear_history
+});
+
+// Every rule differs for an unprotected branch (current is null), since protecting it sets all of them
+export const diffProtection = (current, rules) => Object.keys(PROTECTION_RULES)
+  .map(rule => ({ rule, from: current ? current[rule] : null, to: rules[rule] }))
+  .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to))
+  .map(({ rule, from, to }) => ({ field: rule, from, to }));
+
+// One-line description of the rules, e.g. "2 reviews, checks: build, admins enforced"
+export const describeProtection = (rules) => {
+  if (!rules) {
+    return 'unprotected';
+  }
+
+  return [
+    rules.required_reviews === null ? 'no PR required' : `${rules.required_reviews} review${rules.required_reviews === 1 ? '' : 's'}`,
+    rules.dismiss_stale_reviews && 'stale reviews dismissed',
+    rules.require_code_owner_reviews && 'code owners',
+    rules.required_status_checks !== null && (rules.required_status_checks.length > 0 ? `checks: ${rules.required_status_checks.join(', ')}` : 'status checks'),
+    rules.strict_status_checks && 'branches up to date',
+    rules.enforce_admins ? 'admins enforced' : 'admins exempt',
+    rules.allow_force_pushes && 'force pushes allowed',
+    rules.allow_deletions && 'deletion allowed',
+    rules.required_linear_history && 'linear history'
+  ].filter(Boolean).join(', ');
+};
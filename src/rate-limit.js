@@ -0,0 +1,90 @@
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const SERVER_ERROR_STATUSES = [500, 502, 503, 504];
+// A server error doesn't say whether a write was applied, so only reads are retried on one
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+const MAX_BACKOFF_MS = 60 * 1000;
+
+const isRateLimited = (error) => {
+  const headers = error.response?.headers || {};
+
+  if (error.status === 429) return true;
+  if (error.status !== 403) return false;
+
+  // A plain 403 is a permission problem; only retry when GitHub says it is a (secondary) rate limit
+  return headers['x-ratelimit-remaining'] === '0'
+    || headers['retry-after'] !== undefined
+    || /rate limit/i.test(error.message);
+};
+
+const getRetryDelay = (error, attempt) => {
+  const headers = error.response?.headers || {};
+
+  if (headers['retry-after'] !== undefined) {
+    return Number(headers['retry-after']) * 1000;
+  }
+
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    return Math.max(Number(headers['x-ratelimit-reset']) * 1000 - Date.now(), 0) + 1000;
+  }
+
+  // Exponential backoff with a little jitter so parallel workers don't retry in lockstep
+  return Math.min(1000 * 2 ** attempt, MAX_BACKOFF_MS) + Math.floor(Math.random() * 250);
+};
+
+// GitHub limits code search, other searches, GraphQL and the rest of the API separately (the names
+// x-ratelimit-resource uses). Pauses are stored and looked up by the request's URL, so the key is
+// known before a request is sent and is always the same for both
+const getResource = (requestOptions) => {
+  const url = requestOptions.url || '';
+  if (url.startsWith('/search/code')) return 'code_search';
+  if (url.startsWith('/search/')) return 'search';
+  if (url === '/graphql') return 'graphql';
+  return 'core';
+};
+
+export const installRateLimitHandling = (octokit, options = {}) => {
+  const { maxRetries = 3, onWait } = options;
+  // Shared by every request so one rate-limit response pauses all concurrent workers using the same limit
+  const resumeAt = new Map();
+  const pauseUntil = (resource, time) => resumeAt.set(resource, Math.max(resumeAt.get(resource) || 0, time));
+
+  octokit.hook.wrap('request', async (request, requestOptions) => {
+    for (let attempt = 0; ; attempt++) {
+      const pause = (resumeAt.get(getResource(requestOptions)) || 0) - Date.now();
+      if (pause > 0) {
+        await sleep(pause);
+      }
+
+      try {
+        const response = await request(requestOptions);
+        const headers = response.headers || {};
+
+        if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+          pauseUntil(getResource(requestOptions), Number(headers['x-ratelimit-reset']) * 1000);
+        }
+
+        return response;
+      } catch (error) {
+        const rateLimited = isRateLimited(error);
+        const retryable = rateLimited || (SERVER_ERROR_STATUSES.includes(error.status)
+          && IDEMPOTENT_METHODS.includes((requestOptions.method || 'GET').toUpperCase()));
+
+        if (!retryable || attempt >= maxRetries) {
+          throw error;
+        }
+
+        const delay = getRetryDelay(error, attempt);
+        if (onWait) {
+          onWait(delay, rateLimited ? 'rate limited' : `server error ${error.status}`);
+        }
+
+        if (rateLimited) {
+          pauseUntil(getResource(requestOptions), Date.now() + delay);
+        } else {
+          await sleep(delay);
+        }
+      }
+    }
+  });
+};
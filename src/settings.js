@@ -0,0 +1,111 @@
+import { parseTopics } from './utils.js';
+
+// Repository settings that can be read from repos.get and written back through repos.update.
+// topics are not part of repos.update and are applied with replaceTopics instead
+export const REPOSITORY_SETTINGS = {
+  description: 'string',
+  homepage: 'string',
+  private: 'boolean',
+  archived: 'boolean',
+  default_branch: 'string',
+  topics: 'list',
+  is_template: 'boolean',
+  has_issues: 'boolean',
+  has_projects: 'boolean',
+  has_wiki: 'boolean',
+  has_discussions: 'boolean',
+  allow_squash_merge: 'boolean',
+  allow_merge_commit: 'boolean',
+  allow_rebase_merge: 'boolean',
+  allow_auto_merge: 'boolean',
+  delete_branch_on_merge: 'boolean'
+};
+
+// Visibility, archiving and topics have dedicated commands; edit covers everything else
+export const EDITABLE_SETTINGS = Object.keys(REPOSITORY_SETTINGS)
+  .filter(field => !['private', 'archived', 'topics'].includes(field));
+
+export const pickSettings = (data) => Object.fromEntries(
+  Object.keys(REPOSITORY_SETTINGS).map(field => [field, field === 'topics' ? data.topics || [] : data[field] ?? null])
+);
+
+export const validateSettings = (settings, context) => {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error(`${context} must be a map of settings`);
+  }
+
+  return Object.fromEntries(Object.entries(settings).map(([field, value]) => {
+    const type = REPOSITORY_SETTINGS[field];
+
+    if (!type) {
+      throw new Error(`Unknown setting "${field}" in ${context}. Available settings: ${Object.keys(REPOSITORY_SETTINGS).join(', ')}`);
+    }
+
+    if (type === 'boolean' && typeof value !== 'boolean') {
+      throw new Error(`${context}.${field} must be true or false`);
+    }
+    if (type === 'string' && value !== null && typeof value !== 'string') {
+      throw new Error(`${context}.${field} must be a string`);
+    }
+    if (type === 'list') {
+      if (!Array.isArray(value)) {
+        throw new Error(`${context}.${field} must be a list`);
+      }
+      try {
+        return [field, parseTopics(value.join(','))];
+      } catch (error) {
+        throw new Error(`${context}.${field}: ${error.message}`);
+      }
+    }
+
+    return [field, value];
+  }));
+};
+
+const isEqual = (type, current, desired) => {
+  if (type === 'list') {
+    return [...current].sort().join(',') === [...desired].sort().join(',');
+  }
+  // An empty description or homepage reads back from GitHub as null
+  if (type === 'string') {
+    return (current || '') === (desired || '');
+  }
+  return current === desired;
+};
+
+// Returns only the fields whose desired value differs from the current one
+export const diffSettings = (current, desired) => Object.entries(desired)
+  .filter(([field, value]) => !isEqual(REPOSITORY_SETTINGS[field], current[field], value))
+  .map(([field, value]) => ({ field, from: current[field], to: value }));
+
+// Turns --set key=value arguments into validated settings, e.g. ["has_wiki=false", "homepage=https://example.com"]
+export const parseSettingAssignments = (assignments) => {
+  const settings = Object.fromEntries(assignments.map(assignment => {
+    const separator = assignment.indexOf('=');
+    if (separator < 1) {
+      throw new Error(`Invalid setting "${assignment}". Expected key=value`);
+    }
+
+    const field = assignment.slice(0, separator).trim();
+    const value = assignment.slice(separator + 1).trim();
+
+    if (!EDITABLE_SETTINGS.includes(field)) {
+      throw new Error(`Setting "${field}" cannot be edited. Editable settings: ${EDITABLE_SETTINGS.join(', ')}`);
+    }
+
+    if (REPOSITORY_SETTINGS[field] === 'boolean') {
+      if (!['true', 'false'].includes(value.toLowerCase())) {
+        throw new Error(`${field} must be true or false`);
+      }
+      return [field, value.toLowerCase() === 'true'];
+    }
+
+    if (field === 'default_branch' && value.length === 0) {
+      throw new Error('default_branch cannot be empty');
+    }
+
+    return [field, value];
+  }));
+
+  return validateSettings(settings, '--set');
+};
@@ -0,0 +1,40 @@
+export const DEFAULT_STALE_DAYS = 365;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// The last commit is the best signal of real activity; updated_at also moves on stars and settings changes
+export const getLastActivity = (repo, stats) => {
+  const lastCommit = stats?.last_commit?.commit?.committer?.date;
+  return lastCommit ? new Date(lastCommit) : new Date(repo.updated_at);
+};
+
+// Scores 0-100: higher means more clearly dead. Inactivity carries most of the weight, measured
+// against the --days window and full at three times it; nobody depending on the repository
+// (stars, forks, open issues) adds the rest
+export const scoreRepository = (repo, stats, days = DEFAULT_STALE_DAYS, now = Date.now()) => {
+  const lastActivity = getLastActivity(repo, stats);
+  const daysInactive = Math.floor((now - lastActivity.getTime()) / DAY);
+
+  let score = Math.min(daysInactive / (days * 3), 1) * 50;
+  if (repo.stargazers_count === 0) score += 10;
+  if (repo.forks_count === 0) score += 10;
+  if (repo.open_issues_count === 0) score += 5;
+  if (repo.fork) score += 15;
+  if (!repo.size) score += 10;
+
+  // Untouched forks and empty repositories have nothing worth keeping; everything else is archived
+  const suggestion = (repo.fork && repo.stargazers_count === 0) || !repo.size ? 'delete' : 'archive';
+
+  return {
+    name: repo.name,
+    score: Math.round(score),
+    suggestion,
+    last_activity: lastActivity.toISOString(),
+    days_inactive: daysInactive,
+    stars: repo.stargazers_count,
+    forks: repo.forks_count,
+    open_issues: repo.open_issues_count,
+    fork: repo.fork,
+    private: repo.private
+  };
+};
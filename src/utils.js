@@ -1,5 +1,121 @@
+import os from 'os';
+import path from 'path';
 import chalk from 'chalk';
 import ora from 'ora';
+import { formatRecords, formatRecord, DEFAULT_REPOSITORY_FIELDS } from './formatters.js';
+import { parseFilter, filterRepositories } from './filters.js';
+
+// Local state such as backups lives here unless GITHUB_MANAGEMENT_HOME points elsewhere
+export const getDataDirectory = () => process.env.GITHUB_MANAGEMENT_HOME || path.join(os.homedir(), '.github-management');
+
+// Process exit codes reported in command line mode
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  PARTIAL_FAILURE: 2
+};
+
+let nonInteractive = false;
+
+export const setNonInteractive = (value) => {
+  nonInteractive = Boolean(value);
+};
+
+export const isNonInteractive = () => nonInteractive;
+
+let dryRun = false;
+
+export const setDryRun = (value) => {
+  dryRun = Boolean(value);
+};
+
+export const isDryRun = () => dryRun;
+
+let activeSpinner = null;
+
+let outputFormat = 'pretty';
+let outputFields = null;
+
+export const setOutputFormat = (format, fields = null) => {
+  outputFormat = format;
+  outputFields = fields;
+};
+
+export const isStructuredOutput = () => outputFormat !== 'pretty';
+
+// Keeps stdout clean for machine-readable output by sending messages to stderr
+export const displayMessage = (message) => {
+  // Clear a running spinner first so the message isn't overwritten by the next frame
+  const spinning = activeSpinner?.isSpinning;
+  if (spinning) {
+    activeSpinner.clear();
+  }
+
+  if (isStructuredOutput()) {
+    console.error(message);
+  } else {
+    console.log(message);
+  }
+
+  if (spinning) {
+    activeSpinner.render();
+  }
+};
+
+export const printRecords = (records, defaultFields = DEFAULT_REPOSITORY_FIELDS) => {
+  console.log(formatRecords(records, outputFormat, outputFields, defaultFields));
+};
+
+export const printRecord = (record) => {
+  console.log(formatRecord(record, outputFormat, outputFields));
+};
+
+export const requireInteractive = (input) => {
+  if (nonInteractive) {
+    throw new Error(`${input} is required but prompts are disabled in non-interactive mode`);
+  }
+};
+
+export const getBulkExitCode = (results, errors) => {
+  if (errors.length === 0) {
+    return EXIT_CODES.SUCCESS;
+  }
+  return results.length > 0 ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.FAILURE;
+};
+
+export const readRepositoryNamesFromStdin = async () => {
+  let input = '';
+  process.stdin.setEncoding('utf8');
+  
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
+  
+  // One name per line or separated by whitespace; lines starting with # are ignored
+  return input
+    .split('\n')
+    .filter(line => !line.trim().startsWith('#'))
+    .join(' ')
+    .split(/\s+/)
+    .filter(name => name.length > 0);
+};
+
+// GitHub topics are lowercase letters, numbers and hyphens, at most 50 characters
+export const parseTopics = (input) => {
+  const topics = (input || '')
+    .split(/[\s,]+/)
+    .map(topic => topic.trim().toLowerCase())
+    .filter(topic => topic.length > 0);
+  const invalid = topics.filter(topic => !/^[a-z0-9][a-z0-9-]{0,49}$/.test(topic));
+
+  if (invalid.length > 0) {
+    throw new Error(`Invalid topic${invalid.length === 1 ? '' : 's'}: ${invalid.join(', ')}. Use lowercase letters, numbers and hyphens (max 50 characters)`);
+  }
+
+  return [...new Set(topics)];
+};
+
+export const isValidRepositoryName = (name) => /^[A-Za-z0-9._-]{1,100}$/.test(name) && !['.', '..'].includes(name);
 
 export const formatDate = (dateString) => {
   const date = new Date(dateString);
@@ -59,6 +175,11 @@ export const displayRepository = (repo, showDetails = false) => {
 };
 
 export const displayRepositoryList = (repos, showDetails = false) => {
+  if (isStructuredOutput()) {
+    printRecords(repos);
+    return;
+  }
+
   if (repos.length === 0) {
     console.log(chalk.yellow('No repositories found.'));
     return;
@@ -73,10 +194,28 @@ export const displayRepositoryList = (repos, showDetails = false) => {
 };
 
 export const createSpinner = (text) => {
-  return ora(text).start();
+  activeSpinner = ora({
+    text,
+    prefixText: dryRun ? chalk.magenta('[dry run]') : ''
+  }).start();
+  return activeSpinner;
+};
+
+export const formatDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Turns executeBulk progress updates into "label 12/40 (ETA 0:35)" on the spinner
+export const createProgressReporter = (spinner, label) => ({ completed, total, etaMs }) => {
+  spinner.text = `${label} ${completed}/${total}${completed < total ? ` (ETA ${formatDuration(etaMs)})` : ''}`;
 };
 
 export const confirmAction = async (message) => {
+  if (nonInteractive) {
+    return true;
+  }
+
   const { default: inquirer } = await import('inquirer');
   
   const { confirm } = await inquirer.prompt([
@@ -92,6 +231,7 @@ export const confirmAction = async (message) => {
 };
 
 export const selectRepository = async (repos, message = 'Select a repository:', allowBack = false) => {
+  requireInteractive('A repository name');
   const { default: inquirer } = await import('inquirer');
   
   if (repos.length === 0) {
@@ -99,6 +239,12 @@ export const selectRepository = async (repos, message = 'Select a repository:',
   }
 
   const choices = [
+    {
+      name: '🔎 Filter this list...',
+      value: 'filter',
+      short: 'Filter'
+    },
+    new inquirer.Separator(),
     ...repos.map((repo, index) => ({
       name: `${repo.name}${repo.description ? ` - ${truncateText(repo.description, 40)}` : ''}`,
       value: repo,
@@ -128,10 +274,15 @@ export const selectRepository = async (repos, message = 'Select a repository:',
     }
   ]);
 
+  if (selectedRepo === 'filter') {
+    return selectRepository(await promptRepositoryFilter(repos), message, allowBack);
+  }
+
   return selectedRepo;
 };
 
 export const selectMultipleRepositories = async (repos, message = 'Select repositories:', allowBack = false) => {
+  requireInteractive('A list of repository names');
   const { default: inquirer } = await import('inquirer');
   
   if (repos.length === 0) {
@@ -149,6 +300,11 @@ export const selectMultipleRepositories = async (repos, message = 'Select reposi
       value: 'select-none',
       short: 'Select None'
     },
+    {
+      name: '🔎 Filter this list...',
+      value: 'filter',
+      short: 'Filter'
+    },
     new inquirer.Separator(),
     ...repos.map((repo, index) => ({
       name: `${repo.name}${repo.description ? ` - ${truncateText(repo.description, 40)}` : ''}`,
@@ -191,6 +347,10 @@ export const selectMultipleRepositories = async (repos, message = 'Select reposi
     return 'back';
   }
 
+  if (selectedRepos.includes('filter')) {
+    return selectMultipleRepositories(await promptRepositoryFilter(repos), message, allowBack);
+  }
+
   // Handle select all/none options
   if (selectedRepos.includes('select-all')) {
     return repos;
@@ -201,27 +361,58 @@ export const selectMultipleRepositories = async (repos, message = 'Select reposi
   }
 };
 
-export const confirmBulkAction = async (repos, action, targetState) => {
+export const promptRepositoryFilter = async (repos) => {
   const { default: inquirer } = await import('inquirer');
-  
-  console.log(chalk.bold.yellow(`\n⚠️  Bulk Action Confirmation`));
-  console.log(chalk.gray(`Action: ${action}`));
-  console.log(chalk.gray(`Target State: ${targetState}`));
-  console.log(chalk.gray(`Repositories to process: ${repos.length}`));
+
+  const { expression } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'expression',
+      message: 'Filter (e.g. language=Go stars>10 updated<2024-01-01 fork=false):',
+      validate: (input) => {
+        try {
+          parseFilter(input);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      }
+    }
+  ]);
+
+  const filtered = filterRepositories(repos, expression);
+  if (filtered.length === 0) {
+    displayWarning('No repositories match that filter, showing the full list.');
+    return repos;
+  }
+
+  return filtered;
+};
+
+export const confirmBulkAction = async (repos, action, targetState) => {
+  displayMessage(chalk.bold.yellow(`\n⚠️  Bulk Action Confirmation`));
+  displayMessage(chalk.gray(`Action: ${action}`));
+  displayMessage(chalk.gray(`Target State: ${targetState}`));
+  displayMessage(chalk.gray(`Repositories to process: ${repos.length}`));
   
   if (repos.length <= 5) {
-    console.log(chalk.cyan('\nSelected repositories:'));
+    displayMessage(chalk.cyan('\nSelected repositories:'));
     repos.forEach((repo, index) => {
-      console.log(`   ${index + 1}. ${chalk.cyan(repo.name)}`);
+      displayMessage(`   ${index + 1}. ${chalk.cyan(repo.name)}`);
     });
   } else {
-    console.log(chalk.cyan('\nSelected repositories:'));
+    displayMessage(chalk.cyan('\nSelected repositories:'));
     repos.slice(0, 3).forEach((repo, index) => {
-      console.log(`   ${index + 1}. ${chalk.cyan(repo.name)}`);
+      displayMessage(`   ${index + 1}. ${chalk.cyan(repo.name)}`);
     });
-    console.log(chalk.gray(`   ... and ${repos.length - 3} more`));
+    displayMessage(chalk.gray(`   ... and ${repos.length - 3} more`));
   }
 
+  if (nonInteractive) {
+    return true;
+  }
+
+  const { default: inquirer } = await import('inquirer');
   const { confirm } = await inquirer.prompt([
     {
       type: 'confirm',
@@ -235,6 +426,7 @@ export const confirmBulkAction = async (repos, action, targetState) => {
 };
 
 export const getSearchQuery = async () => {
+  requireInteractive('A search query');
   const { default: inquirer } = await import('inquirer');
   
   const { query } = await inquirer.prompt([
@@ -255,32 +447,49 @@ export const getSearchQuery = async () => {
 };
 
 export const displayError = (error) => {
-  console.log(chalk.red(`\n❌ Error: ${error.message}`));
+  // Any reported error makes a command line run exit with a failure code
+  process.exitCode = EXIT_CODES.FAILURE;
+  displayMessage(chalk.red(`\n❌ Error: ${error.message}`));
   if (error.response?.status) {
-    console.log(chalk.gray(`Status: ${error.response.status}`));
+    displayMessage(chalk.gray(`Status: ${error.response.status}`));
   }
 };
 
 export const displaySuccess = (message) => {
-  console.log(chalk.green(`\n✅ ${message}`));
+  displayMessage(chalk.green(`\n✅ ${dryRun ? '[dry run] ' : ''}${message}`));
 };
 
 export const displayWarning = (message) => {
-  console.log(chalk.yellow(`\n⚠️  ${message}`));
+  displayMessage(chalk.yellow(`\n⚠️  ${message}`));
 };
 
 export const displayInfo = (message) => {
-  console.log(chalk.blue(`\nℹ️  ${message}`));
+  displayMessage(chalk.blue(`\nℹ️  ${message}`));
 };
 
 export const displayBulkResults = (results, errors, action, targetState) => {
-  console.log(chalk.bold.green(`\n✅ Bulk ${action} Results`));
+  if (isStructuredOutput()) {
+    const records = [
+      ...results.map(result => ({ name: result.name, action, target_state: targetState, status: dryRun ? 'planned' : 'success', error: null })),
+      ...errors.map(error => ({ name: error.name, action, target_state: targetState, status: 'failed', error: error.error }))
+    ];
+    console.log(formatRecords(records, outputFormat));
+    return;
+  }
+
+  console.log(chalk.bold.green(`\n✅ Bulk ${action} Results${dryRun ? ' (dry run)' : ''}`));
   console.log(chalk.gray(`Target State: ${targetState}`));
+  if (dryRun) {
+    console.log(chalk.magenta('🧪 Dry run: no changes were made. Re-run without --dry-run to apply them.'));
+  }
   
   if (results.length > 0) {
     console.log(chalk.green(`\n✅ Successfully processed ${results.length} repository${results.length === 1 ? '' : 'ies'}:`));
     results.forEach((result, index) => {
       console.log(`   ${index + 1}. ${chalk.cyan(result.name)}`);
+      if (result.backup_path) {
+        console.log(chalk.gray(`      💾 Backup: ${result.backup_path}`));
+      }
     });
   }
   
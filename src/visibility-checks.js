@@ -0,0 +1,60 @@
+// Paths that usually hold secrets, matched on every file name. Contents are only searched (see
+// SECRET_PATTERNS) for text files within MAX_SCANNED_FILE_SIZE, up to MAX_SCANNED_FILES per repository
+const SENSITIVE_FILES = [
+  { pattern: /(^|\/)\.env(\.[^/]+)?$/i, except: /\.(example|sample|template|dist)$/i, reason: 'environment file' },
+  { pattern: /(^|\/)id_(rsa|dsa|ecdsa|ed25519)$/i, reason: 'SSH private key' },
+  { pattern: /\.(pem|key|p12|pfx|ppk|jks|keystore)$/i, reason: 'private key or key store' },
+  { pattern: /(^|\/)(\.npmrc|\.pypirc|\.netrc|\.git-credentials|\.htpasswd|\.pgpass|\.dockercfg)$/i, reason: 'credentials file' },
+  { pattern: /(^|\/)(\.aws\/credentials|\.docker\/config\.json)$/i, reason: 'credentials file' },
+  { pattern: /(^|\/)(credentials|secrets?|service[-_]?account[^/]*|client[-_]secret[^/]*)\.(json|ya?ml|xml|ini|toml|txt)$/i, reason: 'credentials file' },
+  { pattern: /\.tfstate(\.backup)?$/i, reason: 'Terraform state' }
+];
+
+export const findSensitiveFiles = (paths) => paths
+  .map(filePath => {
+    const rule = SENSITIVE_FILES.find(({ pattern, except }) => pattern.test(filePath) && !(except && except.test(filePath)));
+    return rule ? { path: filePath, reason: rule.reason } : null;
+  })
+  .filter(Boolean);
+
+// The content scan downloads text files up to this size, and at most this many per repository.
+// Each file is one API request
+export const MAX_SCANNED_FILE_SIZE = 100 * 1024;
+export const MAX_SCANNED_FILES = 500;
+
+const BINARY_FILES = /\.(png|jpe?g|gif|bmp|ico|webp|tiff?|pdf|zip|gz|tgz|bz2|xz|7z|rar|jar|war|class|exe|dll|so|dylib|o|a|bin|woff2?|ttf|otf|eot|mp[34]|mov|avi|wav|ogg|flac|psd|sqlite3?|db)$/i;
+
+// Credentials in file contents. Matched lines are reported by number, never with the secret itself
+const SECRET_PATTERNS = [
+  { pattern: /-----BEGIN (RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY( BLOCK)?-----/, reason: 'private key' },
+  { pattern: /\b(AKIA|ASIA)[0-9A-Z]{16}\b/, reason: 'AWS access key' },
+  { pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b|\bgithub_pat_[A-Za-z0-9_]{22,}/, reason: 'GitHub token' },
+  { pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/, reason: 'Slack token' },
+  { pattern: /\b[rs]k_live_[0-9A-Za-z]{20,}/, reason: 'Stripe key' },
+  { pattern: /\bAIza[0-9A-Za-z_-]{35}\b/, reason: 'Google API key' },
+  { pattern: /\bnpm_[A-Za-z0-9]{36}\b/, reason: 'npm token' },
+  { pattern: /:\/\/[^\s:/@'"]+:[^\s@/'"]{6,}@/, reason: 'password in URL' },
+  { pattern: /\b(password|passwd|secret|api[_-]?key|access[_-]?token|auth[_-]?token|client[_-]?secret)\b["']?\s*[:=]\s*["'][^"'\s]{8,}["']/i, reason: 'hard-coded credential' }
+];
+
+export const selectFilesToScan = (entries) => entries.filter(entry => entry.type === 'blob'
+  && entry.size > 0
+  && entry.size <= MAX_SCANNED_FILE_SIZE
+  && !BINARY_FILES.test(entry.path));
+
+export const findSecretsInContent = (filePath, content) => {
+  // A NUL byte means a binary file that slipped past the extension check
+  if (content.includes('\0')) {
+    return [];
+  }
+
+  return content.split('\n')
+    .map((line, index) => {
+      const rule = SECRET_PATTERNS.find(({ pattern }) => pattern.test(line));
+      return rule ? { path: `${filePath}:${index + 1}`, reason: rule.reason } : null;
+    })
+    .filter(Boolean);
+};
+
+// All findings in one line, for the error that blocks a change without --force
+export const describeFindings = (findings) => findings.map(finding => finding.message).join('; ');